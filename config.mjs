@@ -0,0 +1,271 @@
+/**
+ * Config file shared by the CLI, TelegramProxy and the OpenClaw integration.
+ *
+ * telegram-preprocessor.config.json (or .mjs, with the config as its default export), looked up in
+ * the working directory unless a file is named:
+ *
+ *   {
+ *     "defaults": { "style": "telegramHtml" },
+ *     "profiles": {
+ *       "owner": { "tableStyle": "cards" },
+ *       "staff": { "redact": ["internalIds", "emails"] },
+ *       "compact": { "extends": "staff", "tableStyle": "monospace", "maxChunkLength": 2000 }
+ *     },
+ *     "chats": { "5309173712": "owner", "-1001234567890": "compact" },
+ *     "defaultProfile": "staff"
+ *   }
+ *
+ * Options for a message, from lowest to highest precedence:
+ *   1. defaults
+ *   2. one profile: the chat's (chats), else the one asked for, else TELEGRAM_PREPROCESSOR_PROFILE,
+ *      else defaultProfile; a profile that extends another is merged over it
+ *   3. environment overrides: TELEGRAM_PREPROCESSOR_<OPTION>, e.g. …_TABLE_STYLE=cards,
+ *      …_MAX_CHUNK_LENGTH=2000, …_REDACT='["emails"]' (JSON for lists and objects); names that
+ *      aren't options are ignored, values that don't check out throw
+ * Options passed in code (or as CLI flags) win over all of them. Merging is shallow: an option
+ * replaces the value below it as a whole. TELEGRAM_PREPROCESSOR_CONFIG names the file.
+ *
+ * Every option is checked against the schema when the config is loaded; errors name the file (or
+ * variable) and the path of the bad value.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+import { STYLES } from "./index.mjs";
+import { CHUNK_POSITIONS, DEFAULT_CHUNK_POLICY, QUEUE_OVERFLOW_MODES } from "./proxy.mjs";
+import { CODE_BLOCK_OVERFLOW_MODES } from "./lib/layout.mjs";
+import { TABLE_STYLES } from "./lib/tables.mjs";
+import { LINK_STYLES } from "./lib/links.mjs";
+import { headingStyleError } from "./lib/headings.mjs";
+import { DEFAULT_FEATURES } from "./lib/render.mjs";
+import { resolveRedactionRules } from "./lib/redact.mjs";
+import { DEFAULT_RETRY } from "./lib/retry.mjs";
+import { DEFAULT_RATE_LIMIT } from "./lib/limiter.mjs";
+
+export const CONFIG_FILES = ["telegram-preprocessor.config.json", "telegram-preprocessor.config.mjs"];
+
+const ENV_PREFIX = "TELEGRAM_PREPROCESSOR_";
+const ENV_CONFIG = `${ENV_PREFIX}CONFIG`;
+const ENV_PROFILE = `${ENV_PREFIX}PROFILE`;
+
+// Schema checks return what is wrong with a value, or undefined
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+const oneOf = (values) => (value) =>
+  values.includes(value) ? undefined : `must be one of ${values.map((v) => JSON.stringify(v)).join(", ")}`;
+const integer = (min) => (value) => (Number.isInteger(value) && value >= min ? undefined : `must be an integer of at least ${min}`);
+const boolean = (value) => (typeof value === "boolean" ? undefined : "must be true or false");
+const keysOf = (known, check) => (value) => {
+  if (!isObject(value)) return "must be an object";
+  for (const [key, v] of Object.entries(value)) {
+    if (!(key in known)) return `has unknown key "${key}" (known: ${Object.keys(known).join(", ")})`;
+    const error = check(v, key);
+    if (error) return `.${key} ${error}`;
+  }
+  return undefined;
+};
+const orFalse = (check) => (value) => (value === false ? undefined : check(value));
+
+const OPTION_SCHEMA = {
+  style: oneOf(STYLES),
+  maxChunkLength: integer(1),
+  split: boolean,
+  codeBlockOverflow: oneOf(CODE_BLOCK_OVERFLOW_MODES),
+  tableStyle: oneOf(TABLE_STYLES),
+  maxTableRows: integer(0),
+  linkSchemes: (value) =>
+    Array.isArray(value) && value.every((s) => typeof s === "string") ? undefined : "must be an array of strings",
+  linkStyle: oneOf(LINK_STYLES),
+  headingStyles: keysOf({ 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 6 }, headingStyleError),
+  features: keysOf(DEFAULT_FEATURES, (value) =>
+    typeof value === "boolean" || Number.isInteger(value) ? undefined : "must be true, false or a number of lines",
+  ),
+  redact: (value) => {
+    if (typeof value !== "boolean" && !Array.isArray(value)) return "must be true, false or an array of packs and rules";
+    try {
+      resolveRedactionRules(value);
+    } catch (err) {
+      return err.message.replace(/^redact: /, "has ");
+    }
+    return undefined;
+  },
+  stripMetadata: (value) => (typeof value === "boolean" || value instanceof RegExp ? undefined : "must be true, false or a RegExp"),
+  chunkDelayMs: integer(0),
+  draftIntervalMs: integer(0),
+  retry: orFalse(keysOf(DEFAULT_RETRY, integer(0))),
+  rateLimit: orFalse(keysOf(DEFAULT_RATE_LIMIT, (value) => (value > 0 ? undefined : "must be a positive number"))),
+  chunkPolicy: keysOf(DEFAULT_CHUNK_POLICY, oneOf(CHUNK_POSITIONS)),
+  maxQueueDepth: integer(1),
+  queueOverflow: oneOf(QUEUE_OVERFLOW_MODES),
+  maxTrackedMessages: integer(1),
+  maxCaptionLength: integer(1),
+  enabled: boolean,
+};
+
+function describe(value) {
+  return value instanceof RegExp ? String(value) : JSON.stringify(value);
+}
+
+function configError(source, where, problem, value) {
+  return new Error(`config: ${source}: ${where} ${problem}, got ${describe(value)}`);
+}
+
+// The error for option `name` at `where`, if its value breaks the schema
+function optionError(source, where, name, value) {
+  const error = OPTION_SCHEMA[name](value);
+  if (!error) return undefined;
+  // A key of an object option: point at it
+  const nested = error.match(/^\.(\S+) (.*)$/);
+  if (nested) return configError(source, `${where}.${nested[1]}`, nested[2], value[nested[1]]);
+  return configError(source, where, error, value);
+}
+
+// Options object at `where` (e.g. "profiles.staff"); `extends` is allowed in profiles only
+function checkOptions(source, where, options, { profile = false } = {}) {
+  if (!isObject(options)) throw configError(source, where, "must be an object", options);
+  const out = {};
+  for (const [name, value] of Object.entries(options)) {
+    if (profile && name === "extends") continue;
+    if (!Object.hasOwn(OPTION_SCHEMA, name)) throw configError(source, where, `has unknown option "${name}"`, value);
+    const error = optionError(source, `${where}.${name}`, name, value);
+    if (error) throw error;
+    out[name] = value;
+  }
+  return out;
+}
+
+// "maxChunkLength" ↔ "TELEGRAM_PREPROCESSOR_MAX_CHUNK_LENGTH"
+function envName(option) {
+  return ENV_PREFIX + option.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase();
+}
+
+function envOverrides(env) {
+  const byName = new Map(Object.keys(OPTION_SCHEMA).map((option) => [envName(option), option]));
+  const overrides = {};
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || name === ENV_CONFIG || name === ENV_PROFILE) continue;
+    const option = byName.get(name);
+    // Not an option: left to whatever else reads the environment
+    if (!option) continue;
+    let value = raw;
+    if (/^(?:true|false|null|-?\d+(?:\.\d+)?)$|^[[{"]/.test(raw.trim())) {
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        throw new Error(`config: ${name} is not valid JSON, got ${JSON.stringify(raw)}`);
+      }
+    }
+    const error = optionError(name, option, option, value);
+    if (error) throw error;
+    overrides[option] = value;
+  }
+  return overrides;
+}
+
+/**
+ * Check a config and make it usable: profiles are flattened (extends), environment overrides read.
+ * @param {object} [raw] - { defaults?, profiles?, chats?, defaultProfile? }
+ * @param {object} [options]
+ * @param {string} [options.file] - Where raw came from, for error messages
+ * @param {Record<string, string>} [options.env=process.env]
+ * @returns {{ file?: string, defaults: object, profiles: Record<string, object>, chats: Record<string, string>,
+ *   defaultProfile?: string, overrides: object,
+ *   profileFor: (select?: { chatId?: string|number, profile?: string }) => string|undefined,
+ *   resolve: (select?: { chatId?: string|number, profile?: string }) => object }}
+ *   resolve(): the options for a chat and/or profile, merged as described above
+ */
+export function createConfig(raw = {}, { file, env = process.env } = {}) {
+  const source = file ?? "config";
+  if (!isObject(raw)) throw configError(source, "the config", "must be an object", raw);
+  const known = ["defaults", "profiles", "chats", "defaultProfile"];
+  for (const key of Object.keys(raw)) {
+    if (!known.includes(key)) throw configError(source, "the config", `has unknown key "${key}" (known: ${known.join(", ")})`, raw[key]);
+  }
+  const defaults = checkOptions(source, "defaults", raw.defaults ?? {});
+  const declared = raw.profiles ?? {};
+  if (!isObject(declared)) throw configError(source, "profiles", "must be an object", declared);
+
+  const profiles = {};
+  const flatten = (name, chain = []) => {
+    if (profiles[name]) return profiles[name];
+    const where = `profiles.${name}`;
+    if (chain.includes(name)) throw configError(source, where, "extends itself", [...chain, name].join(" → "));
+    const own = checkOptions(source, where, declared[name], { profile: true });
+    const parent = declared[name].extends;
+    if (parent !== undefined && !Object.hasOwn(declared, parent)) {
+      throw configError(source, `${where}.extends`, "must name a profile", parent);
+    }
+    profiles[name] = parent === undefined ? own : { ...flatten(parent, [...chain, name]), ...own };
+    return profiles[name];
+  };
+  for (const name of Object.keys(declared)) flatten(name);
+
+  const profileName = (where, name) => {
+    if (!Object.hasOwn(profiles, name)) throw configError(source, where, "must name a profile", name);
+    return name;
+  };
+  const chats = {};
+  if (!isObject(raw.chats ?? {})) throw configError(source, "chats", "must be an object", raw.chats);
+  for (const [chatId, name] of Object.entries(raw.chats ?? {})) chats[chatId] = profileName(`chats.${chatId}`, name);
+  const defaultProfile = raw.defaultProfile === undefined ? undefined : profileName("defaultProfile", raw.defaultProfile);
+  const envProfile = env[ENV_PROFILE] === undefined ? undefined : profileName(ENV_PROFILE, env[ENV_PROFILE]);
+  const overrides = envOverrides(env);
+
+  const profileFor = ({ chatId, profile } = {}) => {
+    const name = (chatId === undefined ? undefined : chats[String(chatId)]) ?? profile ?? envProfile ?? defaultProfile;
+    if (name !== undefined && !Object.hasOwn(profiles, name)) throw new Error(`config: unknown profile "${name}"`);
+    return name;
+  };
+  const resolve = (select = {}) => {
+    const name = profileFor(select);
+    return { ...defaults, ...(name === undefined ? {} : profiles[name]), ...overrides };
+  };
+  return { file, defaults, profiles, chats, defaultProfile, overrides, profileFor, resolve };
+}
+
+/**
+ * Load the config file: the one named (or TELEGRAM_PREPROCESSOR_CONFIG), else the first of
+ * CONFIG_FILES in cwd. Without a file the config is empty, environment overrides aside.
+ * @param {object} [options]
+ * @param {string} [options.file] - Path, relative to cwd
+ * @param {string} [options.cwd=process.cwd()]
+ * @param {Record<string, string>} [options.env=process.env]
+ * @returns {Promise<ReturnType<typeof createConfig>>}
+ */
+export async function loadConfig({ file, cwd = process.cwd(), env = process.env } = {}) {
+  const named = file ?? env[ENV_CONFIG];
+  let found = named === undefined ? undefined : path.resolve(cwd, named);
+  if (found === undefined) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(cwd, name);
+      if (await fs.stat(candidate).then((s) => s.isFile(), () => false)) {
+        found = candidate;
+        break;
+      }
+    }
+  }
+  if (found === undefined) return createConfig({}, { env });
+
+  let raw;
+  if (found.endsWith(".json")) {
+    let text;
+    try {
+      text = await fs.readFile(found, "utf8");
+    } catch (err) {
+      throw new Error(`config: can't read ${found}: ${err.message}`);
+    }
+    try {
+      raw = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`config: ${found}: invalid JSON: ${err.message}`);
+    }
+  } else {
+    try {
+      raw = (await import(pathToFileURL(found).href)).default;
+    } catch (err) {
+      throw new Error(`config: can't load ${found}: ${err.message}`);
+    }
+  }
+  return createConfig(raw, { file: found, env });
+}
@@ -4,241 +4,411 @@
  * Makes agent-style content (markdown tables, long blocks, horizontal layout)
  * more readable in Telegram's mobile UI.
  *
- * - Fence-aware: protects ``` and ~~~ code blocks from table/whitespace rewriting
- * - Converts markdown tables to bullet lists (strict detection; preserves empty cells)
+ * - Parses markdown into an AST (lib/markdown.mjs); every style renders from it (lib/render.mjs)
+ * - Fence-aware: ``` and ~~~ code blocks (any length, info strings, indented) are never rewritten
+ * - Converts markdown tables to bullets, cards or a monospace grid (strict detection; preserves empty cells)
+ * - Styles headings per level; normalizes nested lists to •/◦/▪ with a fixed indentation step
  * - Collapses excessive newlines, trims
- * - Chunks at 4096 with safe boundaries (never inside HTML entities or tags)
- * - Optional style: telegramHtml = conservative markdown → HTML per chunk (after split)
+ * - Chunks at 4096 with safe boundaries (lib/chunk.mjs), counted the way Telegram does: UTF-16
+ *   units of the text after entity parsing, never cutting an emoji apart; HTML/MarkdownV2 chunks are each
+ *   well-formed: formatting cut by a boundary is closed and reopened in the next chunk
+ * - Optional style: telegramHtml = markdown → Telegram HTML
+ * - Optional style: telegramMarkdownV2 = markdown → fully escaped MarkdownV2
+ * - Optional style: telegramEntities = plain text + MessageEntity[] per chunk (no parse_mode at all)
+ * - Optional redaction (lib/redact.mjs) of internal IDs, secrets and personal data, before anything
+ *   else looks at the text
+ * - Pipeline: createPreprocessor() runs the built-in stages you pick plus stages of your own,
+ *   on the markdown (code protected) or on the chunks (lib/pipeline.mjs); preprocess() is the default one
+ * - htmlToPlain(), markdownV2ToPlain(): Telegram HTML or MarkdownV2 down to plain text, e.g. to resend
+ *   a chunk Telegram rejected
+ * - Streaming: createStreamingPreprocessor() takes text deltas and hands out chunks as soon as
+ *   they are final, the same chunks preprocess() gives for the whole text
  *
  * Usage:
  *   node index.mjs                 # stdin -> stdout (plain)
- *   node index.mjs --html         # conservative HTML
+ *   node index.mjs --html         # Telegram HTML
+ *   node index.mjs --markdownv2   # MarkdownV2
+ *   node index.mjs --entities --json  # plain text + MessageEntity[]
  *   node index.mjs --json
+ *   node index.mjs --profile compact --config ./bot.config.json  # options from a config file (config.mjs)
  *
- * Options: style = 'telegramPlain' (default) | 'telegramHtml'
+ * Options: style = 'telegramPlain' (default) | 'telegramHtml' | 'telegramMarkdownV2' | 'telegramEntities'
  */
 
 import { fileURLToPath } from "node:url";
 import path from "node:path";
 import fs from "node:fs";
 import process from "node:process";
-
-const TELEGRAM_MAX_LENGTH = 4096;
-const FENCE_PLACEHOLDER_PREFIX = "\u0000FENCE";
-const FENCE_PLACEHOLDER_SUFFIX = "\u0000";
-
-// Centralized HTML escaping — used everywhere HTML is produced
-function escapeHtml(text) {
-  return text
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
+import { parseMarkdown, settledLength } from "./lib/markdown.mjs";
+import {
+  DEFAULT_FEATURES,
+  renderBlockPlain,
+  renderBlockEntities,
+  entitiesToHtml,
+  entitiesToMarkdownV2,
+  htmlToPlain,
+  markdownV2ToPlain,
+} from "./lib/render.mjs";
+import { TELEGRAM_MAX_LENGTH, createPacker, joinRichText, telegramLength } from "./lib/chunk.mjs";
+import { CODE_BLOCK_OVERFLOW_MODES, layoutBlocks } from "./lib/layout.mjs";
+import { TABLE_STYLES } from "./lib/tables.mjs";
+import { headingStyleError } from "./lib/headings.mjs";
+import { DEFAULT_LINK_SCHEMES, LINK_STYLES, appendReferences, createReferences } from "./lib/links.mjs";
+import { REDACTION_PACKS, redact, redactionSpec } from "./lib/redact.mjs";
+import { DEFAULT_STAGES, resolveStages, runSourceStage } from "./lib/pipeline.mjs";
+
+export { DEFAULT_STAGES, REDACTION_PACKS, htmlToPlain, markdownV2ToPlain, redact };
+
+const PARSE_MODES = {
+  telegramPlain: null,
+  telegramHtml: "HTML",
+  telegramMarkdownV2: "MarkdownV2",
+  telegramEntities: null,
+};
+
+export const STYLES = Object.keys(PARSE_MODES);
+
+// Each style renders blocks to text + entities (plain: markdown text, no entities); chunks
+// are packed from those and serialized on their own, so formatting cut by a chunk boundary
+// is closed at the end of one chunk and reopened (same tag and attributes) in the next.
+const SERIALIZERS = {
+  telegramPlain: (text) => text,
+  telegramHtml: entitiesToHtml,
+  telegramMarkdownV2: entitiesToMarkdownV2,
+  telegramEntities: (text) => text,
+};
+
+const DEFAULT_PIPELINE = resolveStages(DEFAULT_STAGES);
+
+// A table left out of the "tables" stage: its source lines, as a paragraph
+function tableAsText(block) {
+  const { raw, spaced } = block;
+  return { type: "paragraph", children: [{ type: "text", text: raw, raw }], raw, spaced };
 }
 
-// Broad fence detection: supports ``` and ~~~, with optional whitespace
-function isFenceLine(line) {
-  const trimmed = line.trim();
-  return (trimmed === "```" || trimmed === "~~~") && trimmed.length >= 3;
+/**
+ * Main pipeline: parse → layout (per-block render, overflow rules) → pack into chunks → serialize.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {'telegramPlain'|'telegramHtml'|'telegramMarkdownV2'|'telegramEntities'} [options.style='telegramPlain']
+ * @param {boolean} [options.toHtml] - Legacy: same as style 'telegramHtml'
+ * @param {number} [options.maxChunkLength=4096] - Measured with measureLength on the text Telegram
+ *   displays (after entity parsing), not on the HTML/MarkdownV2 markup
+ * @param {number} [options.firstChunkLength=maxChunkLength] - Limit for the first chunk only, e.g. 1024 when it
+ *   becomes a media caption and the rest follows as messages
+ * @param {(text: string) => number} [options.measureLength] - Default: UTF-16 code units, as Telegram counts
+ * @param {boolean} [options.split=true]
+ * @param {'split'|'document'|'truncate'} [options.codeBlockOverflow] - What to do with a code block
+ *   that doesn't fit one chunk; by default it continues into the next chunk
+ * @param {'bullets'|'cards'|'monospace'|'auto'} [options.tableStyle='bullets'] - How tables are rendered
+ * @param {number} [options.maxTableRows] - Rows rendered per table; the rest become "…and N more rows"
+ * @param {string[]} [options.linkSchemes=['http','https','tg']] - URL schemes allowed to become links
+ * @param {'inline'|'references'} [options.linkStyle='inline'] - telegramPlain: keep "[label](url)" or
+ *   write "label [1]" and list the chunk's references at its end
+ * @param {Record<number, string>} [options.headingStyles] - Per heading level: "+"-joined bold,
+ *   underline, italic, uppercase, raw and/or a prefix, e.g. { 1: "bold+underline", 3: "🔹+bold" }
+ * @param {object} [options.features] - Rich styles: switch formatting on/off, merged over
+ *   { italic: true, strikethrough: true, spoiler: true, underline: false, blockquote: true,
+ *   expandableBlockquote: false } (expandableBlockquote: collapse quotes longer than N lines)
+ * @param {boolean|Array<string|object>} [options.redact] - Redaction packs and rules (see lib/redact.mjs),
+ *   applied to the source before anything else, code included where a rule says so
+ * @returns {{ chunks: string[], parseMode: 'HTML' | 'MarkdownV2' | null, entities?: object[][], attachments?: object[],
+ *   redactions?: object[] }}
+ *   entities (telegramEntities only): one MessageEntity[] per chunk, offsets in UTF-16 code units
+ *   attachments (codeBlockOverflow 'document' only): { type: 'document', filename, language, mimeType,
+ *   content, afterChunk } — send after chunks[afterChunk], which holds the notice pointing to it
+ *   redactions (redact only): { rule, pack?, action, index, length, inCode } for each, never the value
+ */
+export function preprocess(text, options = {}) {
+  return run(DEFAULT_PIPELINE, text, options);
 }
 
-function extractFencedBlocks(text) {
-  const blocks = [];
-  // Match both ``` and ~~~, with optional language identifier and trailing whitespace
-  const re = /(```|~~~)(\w*)\n([\s\S]*?)\1\s*$/gm;
-  const matches = [];
-  let match;
-  while ((match = re.exec(text)) !== null) {
-    matches.push(match);
-    blocks.push({ lang: match[2] || "", body: match[3], fenceType: match[1] });
-  }
-  let out = text;
-  for (let i = 0; i < matches.length; i++) {
-    const placeholder = `${FENCE_PLACEHOLDER_PREFIX}${i}${FENCE_PLACEHOLDER_SUFFIX}`;
-    out = out.replace(matches[i][0], placeholder);
-  }
-  return { text: out, blocks };
+function run(pipeline, text, options) {
+  const message = createMessage(pipeline, options);
+  if (typeof text !== "string") return { chunks: [""], parseMode: null };
+  message.add(text);
+  return message.take(true);
 }
 
-function restoreFencedBlocks(text, blocks, toHtml = false) {
-  let out = text;
-  for (let i = 0; i < blocks.length; i++) {
-    const placeholder = `${FENCE_PLACEHOLDER_PREFIX}${i}${FENCE_PLACEHOLDER_SUFFIX}`;
-    const { body, fenceType } = blocks[i];
-    const escaped = toHtml ? escapeHtml(body) : body;
-    const lang = blocks[i].lang ? ` ${blocks[i].lang}` : "";
-    const replacement = toHtml
-      ? `<pre><code${lang}>${escaped}</code></pre>`
-      : `${fenceType}${lang}\n${body}\n${fenceType}\n`;
-    out = out.split(placeholder).join(replacement);
+/**
+ * One message through a pipeline, its source added a part at a time: add() takes whole blocks
+ * (the last part may end anywhere), take() returns the chunks that became final since the last
+ * take(), and everything once the source is complete. Parts already added are never looked at
+ * again; link references, attachment filenames and redaction offsets carry on across parts.
+ * Options are checked up front.
+ */
+function createMessage(pipeline, options) {
+  const {
+    style: styleOpt,
+    toHtml: toHtmlLegacy,
+    maxChunkLength = TELEGRAM_MAX_LENGTH,
+    firstChunkLength = maxChunkLength,
+    split: splitOption = true,
+    codeBlockOverflow,
+    measureLength = telegramLength,
+    tableStyle = "bullets",
+    maxTableRows,
+    linkSchemes = DEFAULT_LINK_SCHEMES,
+    linkStyle = "inline",
+    features: featureOptions,
+    headingStyles,
+    redact: redactSpec,
+  } = options;
+  const style = styleOpt ?? (toHtmlLegacy ? "telegramHtml" : "telegramPlain");
+  if (!(style in PARSE_MODES)) throw new Error(`preprocess: unknown style "${style}"`);
+  if (codeBlockOverflow !== undefined && !CODE_BLOCK_OVERFLOW_MODES.includes(codeBlockOverflow)) {
+    throw new Error(`preprocess: unknown codeBlockOverflow "${codeBlockOverflow}"`);
   }
-  return out;
-}
-
-const TABLE_SEPARATOR_RE = /^(\|[\s\-:]+)+\|\s*$/;
-
-function parseRow(line) {
-  const trimmed = line.trim().replace(/^\|/, "").replace(/\|$/, "");
-  return trimmed.split("|").map((c) => c.trim());
-}
-
-function tableToBullets(block) {
-  const lines = block.split("\n").map((l) => l.trim());
-  if (lines.length < 3) return block;
-
-  const first = lines[0];
-  if (!first.includes("|")) return block;
-  const sepIdx = lines.findIndex((l, i) => i > 0 && TABLE_SEPARATOR_RE.test(l));
-  if (sepIdx < 1) return block;
-
-  const dataLines = lines.slice(sepIdx + 1).filter((l) => l.includes("|"));
-  if (dataLines.length === 0) return block;
-
-  const headers = parseRow(first);
-  const out = [];
-
-  for (const row of dataLines) {
-    const cells = parseRow(row);
-    const display = cells.map((c) => (c === "" ? "—" : c));
-    if (headers.length === display.length) {
-      const pairs = headers.map((h, i) => `${h}: ${display[i]}`).join(" · ");
-      out.push(`• ${pairs}`);
-    } else {
-      out.push(`• ${display.join(" · ")}`);
-    }
+  if (!TABLE_STYLES.includes(tableStyle)) throw new Error(`preprocess: unknown tableStyle "${tableStyle}"`);
+  if (!LINK_STYLES.includes(linkStyle)) throw new Error(`preprocess: unknown linkStyle "${linkStyle}"`);
+  for (const name of Object.keys(featureOptions ?? {})) {
+    if (!(name in DEFAULT_FEATURES)) throw new Error(`preprocess: unknown feature "${name}"`);
   }
-  return out.join("\n");
-}
-
-function processBlock(block) {
-  const trimmed = block.trim();
-  if (!trimmed) return "";
-
-  const lines = trimmed.split("\n");
-  if (lines.length < 3) return trimmed;
-  const first = lines[0];
-  if (!first.includes("|")) return trimmed;
-  const sepIdx = lines.findIndex((l, i) => i > 0 && TABLE_SEPARATOR_RE.test(l));
-  if (sepIdx !== 1) return trimmed;
-  const dataLines = lines.slice(2).filter((l) => l.includes("|"));
-  if (dataLines.length === 0) return trimmed;
-
-  return tableToBullets(trimmed);
-}
-
-function normalizeWhitespace(text) {
-  return text
-    .replace(/\r\n/g, "\n")
-    .replace(/\r/g, "\n")
-    .replace(/\n{3,}/g, "\n\n")
-    .split("\n")
-    .map((l) => l.trimEnd())
-    .join("\n")
-    .trim();
-}
-
-function convertTablesToBullets(text) {
-  const normalized = normalizeWhitespace(text);
-  const blocks = normalized.split(/\n\s*\n/);
-  const processed = blocks.map(processBlock).filter(Boolean);
-  return processed.join("\n\n");
-}
-
-function nextSafeBreak(text, start, maxLen) {
-  const slice = text.slice(start, start + maxLen);
-  const len = slice.length;
-  if (len < maxLen) return start + len;
-
-  let best = start + maxLen;
-  const segment = text.slice(start, start + maxLen + 200);
-
-  const entityRe = /&(?:#\d+|#x[\da-fA-F]+|\w+);/g;
-  let m;
-  while ((m = entityRe.exec(segment)) !== null) {
-    const end = start + m.index + m[0].length;
-    if (end > start + maxLen && end < best) best = end;
+  for (const [level, headingStyle] of Object.entries(headingStyles ?? {})) {
+    const error = /^[1-6]$/.test(level) ? headingStyleError(headingStyle) : "level must be 1-6";
+    if (error) throw new Error(`preprocess: headingStyles[${level}] ${error}`);
   }
-
-  const tagRe = /<[^>]+>/g;
-  while ((m = tagRe.exec(segment)) !== null) {
-    const end = start + m.index + m[0].length;
-    if (end > start + maxLen && end < best) best = end;
+  if (maxTableRows !== undefined && !(Number.isInteger(maxTableRows) && maxTableRows >= 0)) {
+    throw new Error(`preprocess: maxTableRows must be a non-negative integer, got ${maxTableRows}`);
   }
-
-  const preRe = /<pre[\s>][\s\S]*?<\/pre>/g;
-  while ((m = preRe.exec(segment)) !== null) {
-    const end = start + m.index + m[0].length;
-    if (end > start + maxLen && end < best) best = end;
+  if (redactSpec && !pipeline.builtins.has("redact")) {
+    throw new Error('preprocess: option redact needs the "redact" stage');
   }
 
-  const lastPara = slice.lastIndexOf("\n\n");
-  const lastLine = slice.lastIndexOf("\n");
-  const breakAt = lastPara > maxLen * 0.5 ? lastPara + 1 : lastLine > maxLen * 0.5 ? lastLine + 1 : maxLen;
-  return start + breakAt;
-}
-
-function splitChunksSafe(text, maxLen = TELEGRAM_MAX_LENGTH) {
-  if (text.length <= maxLen) return [text];
-
-  const chunks = [];
-  let start = 0;
-
-  while (start < text.length) {
-    const breakAt = nextSafeBreak(text, start, maxLen);
-    chunks.push(text.slice(start, breakAt).trim());
-    start = breakAt;
-    while (start < text.length && (text[start] === "\n" || text[start] === " ")) start++;
-  }
-
-  return chunks.filter(Boolean);
+  const parseMode = PARSE_MODES[style];
+  const context = { style, parseMode, options };
+  const split = splitOption && pipeline.builtins.has("chunk");
+  const plain = style === "telegramPlain";
+  const serialize = plain && linkStyle === "references" ? appendReferences : SERIALIZERS[style];
+  // Telegram's limit applies after entity parsing: measure the text, never the markup.
+  // Plain chunks are sent as serialized (references included), so measure that.
+  const measure = (chunk) => measureLength(plain ? serialize(chunk.text, chunk.entities) : chunk.text);
+  const renderOptions = { linkSchemes, linkStyle, features: featureOptions, headingStyles };
+  // Reference numbers and attachment filenames given so far; a preview works on copies
+  const numbers = new Map();
+  const filenames = new Set();
+  const layout = (blocks, reference, usedFilenames) => {
+    const blockOptions = { ...renderOptions, reference };
+    return layoutBlocks(blocks, {
+      renderBlock: plain
+        ? (block) => renderBlockPlain(block, blockOptions)
+        : (block) => renderBlockEntities(block, blockOptions),
+      fits: (fragment) => !split || measure(fragment) <= maxChunkLength,
+      codeBlockOverflow,
+      tableStyle,
+      maxTableRows,
+      filenames: usedFilenames,
+    });
+  };
+  const reference = createReferences(numbers);
+
+  // Unsplit, the fragments wait for the end to be joined into the one chunk
+  const packer = split ? createPacker(maxChunkLength, measure, firstChunkLength) : null;
+  const fragments = [];
+  // Not returned yet; attachments are in chunk order
+  let redactions = redactSpec ? [] : undefined;
+  const attachments = [];
+  // Source the redact stage has seen, so redaction indices count from the start of the message
+  let redacted = 0;
+  let blockCount = 0;
+  // Blank lines the part added last ended with: the next block is spaced that much from the one before
+  let blankEnd = 0;
+  const whitespace = pipeline.builtins.has("whitespace");
+  let emitted = 0;
+
+  // The blocks of a part; keep: the part is added, so its redactions and ending count
+  const blocksOf = (part, keep) => {
+    let source = part.replace(/\r\n?/g, "\n");
+    for (const stage of pipeline.source) {
+      if (!stage.builtin) source = runSourceStage(stage, source, context);
+      else if (stage.name === "redact" && redactSpec) {
+        const found = redact(source, redactSpec);
+        if (keep) {
+          for (const r of found.redactions) redactions.push({ ...r, index: r.index + redacted });
+          redacted += source.length;
+        }
+        source = found.text;
+      }
+    }
+    const parsed = parseMarkdown(source).children;
+    const blocks = parsed.map((block) => {
+      // Without "whitespace", spaced is the number of blank lines before the block
+      if (!whitespace && block.blankLines) block = { ...block, spaced: block.blankLines };
+      return block.type === "table" && !pipeline.builtins.has("tables") ? tableAsText(block) : block;
+    });
+    if (blocks.length > 0 && blockCount > 0 && blankEnd > 0) {
+      blocks[0] = { ...blocks[0], spaced: whitespace || blankEnd };
+    }
+    if (keep) {
+      const trailing = /\n((?:[^\S\n]*\n)*)$/.exec(`\n${source}`);
+      blankEnd = (trailing ? trailing[1].split("\n").length - 1 : 0) + (blocks.length === 0 ? blankEnd : 0);
+      blockCount += blocks.length;
+    }
+    return blocks;
+  };
+
+  // Chunks as preprocess() returns them, with the redactions and attachments given, through the chunks stages
+  const output = (parts, extra) => {
+    const result = { chunks: parts.map((p) => serialize(p.text, p.entities)), parseMode };
+    if (style === "telegramEntities") result.entities = parts.map((p) => p.entities);
+    Object.assign(result, extra);
+    return pipeline.chunks.reduce((out, stage) => {
+      const next = stage.transform(out, context);
+      if (!Array.isArray(next?.chunks)) throw new Error(`preprocess: stage "${stage.name}" must return a result with chunks`);
+      return next;
+    }, result);
+  };
+
+  const add = (part) => {
+    const laidOut = layout(blocksOf(part, true), reference, filenames);
+    const placement = laidOut.fragments.map((fragment) => {
+      if (packer) return packer.add(fragment);
+      fragments.push(fragment);
+      return 0;
+    });
+    for (const { fragment, ...attachment } of laidOut.attachments) {
+      attachments.push({ ...attachment, afterChunk: placement[fragment] });
+    }
+  };
+
+  const take = (complete) => {
+    let parts = [];
+    if (packer) parts = (complete ? packer.finish() : packer.chunks).slice(emitted);
+    else if (complete) parts = [joinRichText(fragments)];
+    const upto = emitted + parts.length;
+    emitted = upto;
+
+    const extra = {};
+    if (redactions) {
+      extra.redactions = redactions;
+      redactions = [];
+    }
+    const ready = attachments.findIndex((a) => a.afterChunk >= upto);
+    if (ready !== 0 && attachments.length > 0) {
+      extra.attachments = attachments.splice(0, ready < 0 ? attachments.length : ready);
+    }
+    return output(parts, extra);
+  };
+
+  // The chunks take(true) would return after add(tail), leaving the message as it is
+  const preview = (tail) => {
+    const laidOut = layout(blocksOf(tail, false), createReferences(new Map(numbers)), new Set(filenames));
+    const parts = packer
+      ? [...packer.chunks.slice(emitted), ...packer.preview(laidOut.fragments)]
+      : [joinRichText([...fragments, ...laidOut.fragments])];
+    return output(parts, {});
+  };
+
+  return { parseMode, add, take, preview };
 }
 
-function markdownToTelegramHtmlConservative(text) {
-  let out = escapeHtml(text);
-  out = out.replace(/^##\s+(.+)$/gm, "<b>$1</b>");
-  out = out.replace(/\*\*([^*\n]{1,80})\*\*/g, "<b>$1</b>");
-  out = out.replace(/(?<!\w)`([^`]+)`(?!\w)/g, "<code>$1</code>");
-  return out;
+/**
+ * A preprocessor with stages of your own: built-in ones by name, in their order, and custom ones
+ * between them (see lib/pipeline.mjs), e.g.
+ *   createPreprocessor({ stages: ["fence", "redact", shortcodes, "whitespace", "tables", "render", "chunk", footer] })
+ * where shortcodes = { name: "shortcodes", phase: "source", transform: (markdown) => … }.
+ * @param {object} [config]
+ * @param {Array<string|object>} [config.stages=DEFAULT_STAGES] - ["fence", "redact", "whitespace", "tables",
+ *   "render", "chunk"]
+ * @returns {{ stages: Array<string|object>, preprocess: typeof preprocess,
+ *   createStreamingPreprocessor: typeof createStreamingPreprocessor }} preprocess() and
+ *   createStreamingPreprocessor() running these stages; a streaming preprocessor runs the source
+ *   stages on a few complete blocks at a time and the chunks stages on the chunks as they become
+ *   final, so both should work piece by piece
+ */
+export function createPreprocessor({ stages = DEFAULT_STAGES } = {}) {
+  const pipeline = resolveStages(stages);
+  return {
+    stages: [...stages],
+    preprocess: (text, options = {}) => run(pipeline, text, options),
+    createStreamingPreprocessor: (options = {}) => stream(pipeline, options),
+  };
 }
 
 /**
- * Main pipeline: fence protect → normalize + tables → split (safe) → per-chunk optional HTML.
- * @param {string} text
- * @param {{ style?: 'telegramPlain'|'telegramHtml', toHtml?: boolean, maxChunkLength?: number, split?: boolean }} options
- * @returns {{ chunks: string[], parseMode: 'HTML' | null }}
+ * Preprocess text that arrives in pieces (e.g. an agent's token stream). write() returns the
+ * chunks that became final; end() returns the rest. Together they are exactly what
+ * preprocess() returns for the concatenated text: a chunk is only handed out once the blocks
+ * in it and the block after it are complete, so content inside an open fence or a table
+ * still receiving rows is held back. Each block is processed once, when it is complete, so
+ * the cost grows with the text, not with the number of writes.
+ * @param {object} [options] - As for preprocess()
+ * @returns {{
+ *   parseMode: 'HTML' | 'MarkdownV2' | null,
+ *   write: (delta: string) => { chunks: string[], entities?: object[][], attachments?: object[], redactions?: object[] },
+ *   end: (delta?: string) => { chunks: string[], entities?: object[][], attachments?: object[], redactions?: object[] },
+ *   preview: () => { chunks: string[], entities?: object[][] },
+ * }} attachments' afterChunk counts every chunk handed out so far, as in preprocess(); redactions
+ *   are reported once each, as soon as their block is complete. preview() returns the chunks
+ *   end() would return now, without ending: the text so far as it would look if it stopped here.
+ *   It only processes what isn't final yet, e.g. for a draft message updated as text arrives.
  */
-export function preprocess(text, options = {}) {
-  const {
-    style: styleOpt,
-    toHtml: toHtmlLegacy,
-    maxChunkLength = TELEGRAM_MAX_LENGTH,
-    split = true,
-  } = options;
-  const style = styleOpt ?? (toHtmlLegacy ? "telegramHtml" : "telegramPlain");
-  const toHtml = style === "telegramHtml";
-  if (typeof text !== "string") return { chunks: [""], parseMode: null };
+export function createStreamingPreprocessor(options = {}) {
+  return stream(DEFAULT_PIPELINE, options);
+}
 
-  const { text: withoutFences, blocks } = extractFencedBlocks(text);
-  let content = convertTablesToBullets(withoutFences);
-  content = restoreFencedBlocks(content, blocks, false);
-
-  const chunks = split ? splitChunksSafe(content, maxChunkLength) : [content];
-  const finalChunks = toHtml
-    ? chunks.map((chunk) => {
-        const { text: noF, blocks: b } = extractFencedBlocks(chunk);
-        const transformed = markdownToTelegramHtmlConservative(noF);
-        return restoreFencedBlocks(transformed, b, true);
-      })
-    : chunks;
-
-  const parseMode = toHtml ? "HTML" : null;
-  return { chunks: finalChunks, parseMode };
+function stream(pipeline, options) {
+  const message = createMessage(pipeline, options);
+  // Text from the start of the last block that may still change
+  let pending = "";
+  let ended = false;
+
+  const take = (complete) => {
+    const { parseMode, ...out } = message.take(complete);
+    return out;
+  };
+
+  const write = (delta) => {
+    if (ended) throw new Error("createStreamingPreprocessor: write() after end()");
+    delta = String(delta);
+    pending += delta;
+    // Only a line break can complete a block
+    if (!/[\r\n]/.test(delta)) return { chunks: [] };
+    const settled = settledLength(pending);
+    if (settled === 0) return { chunks: [] };
+    message.add(pending.slice(0, settled));
+    pending = pending.slice(settled);
+    return take(false);
+  };
+
+  const end = (delta = "") => {
+    if (ended) throw new Error("createStreamingPreprocessor: end() called twice");
+    ended = true;
+    message.add(pending + String(delta));
+    return take(true);
+  };
+
+  const preview = () => {
+    if (ended) throw new Error("createStreamingPreprocessor: preview() after end()");
+    const { chunks, entities } = message.preview(pending);
+    return entities ? { chunks, entities } : { chunks };
+  };
+
+  return { parseMode: message.parseMode, write, end, preview };
 }
 
 // CLI
-function main() {
+async function main() {
   const args = process.argv.slice(2);
   const jsonOut = args.includes("--json");
-  const style = args.includes("--html") ? "telegramHtml" : "telegramPlain";
+  const value = (flag) => {
+    const i = args.indexOf(flag);
+    return i >= 0 && i < args.length - 1 ? args[i + 1] : undefined;
+  };
+  const style = args.includes("--html")
+    ? "telegramHtml"
+    : args.includes("--markdownv2")
+      ? "telegramMarkdownV2"
+      : args.includes("--entities")
+        ? "telegramEntities"
+        : undefined;
+  // Imported here: config.mjs imports this module
+  const { loadConfig } = await import("./config.mjs");
+  const config = await loadConfig({ file: value("--config") });
+  // stripMetadata is a proxy option: it becomes part of redact, as TelegramProxy does it
+  const { stripMetadata, redact: redactOption, ...resolved } = config.resolve({ profile: value("--profile") });
+  const spec = redactionSpec({ stripMetadata, redact: redactOption });
+  const options = { ...resolved, redact: spec.length > 0 ? spec : undefined, ...(style ? { style } : {}) };
 
   let inputText = "";
   // Check for --text flag first
@@ -251,7 +421,7 @@ function main() {
   }
   // If TTY and no --text, input stays empty
 
-  const result = preprocess(inputText, { style, split: true });
+  const result = preprocess(inputText, options);
   if (jsonOut) {
     console.log(JSON.stringify(result, null, 2));
   } else {
@@ -271,5 +441,8 @@ const isEntryScript =
     entryArg.endsWith("index.mjs"));
 
 if (isEntryScript) {
-  main();
+  main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
 }
@@ -0,0 +1,248 @@
+/**
+ * Chunking for Telegram's per-message limit.
+ *
+ * Works on text + entities ("rich text"); plain output is rich text without entities.
+ * Sizes are measured on the text, which is what Telegram counts after parsing entities,
+ * so HTML tags and MarkdownV2 escapes don't eat into the 4096 budget.
+ * - packFragments: packs rendered top-level blocks into chunks, splitting only blocks
+ *   that do not fit a chunk on their own; createPacker does the same a block at a time
+ * - splitRichText: splits one fragment at the best break (paragraph, line, space) and
+ *   never inside a link or something that looks like an HTML entity or tag
+ *
+ * Every chunk carries its own clipped, re-based entities, so serializing a chunk closes
+ * whatever is open at its end and the next chunk reopens it (same tag, same attributes).
+ */
+
+export const TELEGRAM_MAX_LENGTH = 4096;
+
+/**
+ * Length as Telegram counts it for the 4096 limit: UTF-16 code units of the text after
+ * entity parsing (so an emoji outside the BMP counts 2, markup counts 0).
+ * @param {string} text
+ * @returns {number}
+ */
+export function telegramLength(text) {
+  return text.length;
+}
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+/**
+ * Largest grapheme boundary at or before pos (and after start), so a cut never separates
+ * a surrogate pair, a ZWJ emoji sequence, a flag or a combining mark from its base.
+ * @param {string} text
+ * @param {number} pos
+ * @param {number} [start=0]
+ * @returns {number}
+ */
+export function graphemeBoundaryBefore(text, pos, start = 0) {
+  if (pos <= start || pos >= text.length) return pos;
+  // Grapheme clusters are short; segmenting a window around pos is enough
+  const from = Math.max(start, pos - 64);
+  let best = from;
+  for (const { index } of graphemes.segment(text.slice(from, pos + 64))) {
+    if (from + index > pos) break;
+    best = from + index;
+  }
+  return best > start ? best : pos;
+}
+
+function insideEntity(entities, pos, type) {
+  return entities.some((e) => e.type === type && e.offset <= pos && pos < e.offset + e.length);
+}
+
+/**
+ * Cut [start, end) out of text + entities: trims the edges (but keeps leading indentation
+ * inside a code block), clips every overlapping entity and re-bases its offset.
+ * @returns {{ text: string, entities: object[] }}
+ */
+export function sliceRichText({ text, entities }, start, end) {
+  while (start < end && (text[start] === "\n" || (/\s/.test(text[start]) && !insideEntity(entities, start, "pre")))) {
+    start++;
+  }
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  const chunkEntities = [];
+  for (const entity of entities) {
+    const from = Math.max(entity.offset, start);
+    const to = Math.min(entity.offset + entity.length, end);
+    if (to <= from) continue;
+    chunkEntities.push({ ...entity, offset: from - start, length: to - from });
+  }
+  return { text: text.slice(start, end), entities: chunkEntities };
+}
+
+/**
+ * Concatenate rich fragments, shifting entity offsets.
+ * @param {{ text: string, entities: object[] }[]} fragments
+ * @param {(fragment: object, index: number) => string} [separator] - Text between fragment i-1 and i
+ * @returns {{ text: string, entities: object[] }}
+ */
+export function joinRichText(fragments, separator = (f) => "\n".repeat(1 + Number(f.spaced ?? 0))) {
+  let text = "";
+  const entities = [];
+  fragments.forEach((fragment, i) => {
+    if (i > 0) text += separator(fragment, i);
+    for (const e of fragment.entities) entities.push({ ...e, offset: e.offset + text.length });
+    text += fragment.text;
+  });
+  return { text, entities };
+}
+
+// Don't end a chunk inside "&amp;"-like entities or "<tag>"-like sequences: literal HTML
+// in plain text should survive being split.
+const MARKUP_TOKEN_RE = /&(?:#\d+|#x[\da-fA-F]+|\w+);|<[^<>\s][^<>]{0,100}>/g;
+
+function avoidMarkupTokens(text, start, end) {
+  MARKUP_TOKEN_RE.lastIndex = Math.max(start, end - 110);
+  let m;
+  while ((m = MARKUP_TOKEN_RE.exec(text)) !== null && m.index < end) {
+    if (m.index + m[0].length > end && m.index > start) return m.index;
+  }
+  return end;
+}
+
+// A link is never cut (unless it alone is longer than a chunk): end before it instead
+function avoidLinks(entities, start, end) {
+  for (const e of entities) {
+    if (e.type === "text_link" && e.offset > start && e.offset < end && e.offset + e.length > end) end = e.offset;
+  }
+  return end;
+}
+
+// Within [start, limit), prefer a paragraph break, then a line break, then a space,
+// as long as it keeps at least half the window; otherwise cut at the limit.
+function preferredBreak(text, start, limit) {
+  const window = text.slice(start, limit);
+  const min = window.length * 0.5;
+  for (const sep of ["\n\n", "\n", " "]) {
+    const at = window.lastIndexOf(sep);
+    if (at > min) return start + at + 1;
+  }
+  return limit;
+}
+
+/**
+ * Split text + entities into chunks whose measured size is at most maxLen.
+ * @param {{ text: string, entities: object[] }} rich
+ * @param {number} [maxLen=4096]
+ * @param {(chunk: { text: string, entities: object[] }) => number} [measure] - Size of a chunk
+ *   as Telegram counts it; must grow with the chunk. Default: telegramLength of the text.
+ * @param {number} [firstLen=maxLen] - Limit for the first chunk only
+ * @returns {{ text: string, entities: object[] }[]}
+ */
+export function splitRichText(rich, maxLen = TELEGRAM_MAX_LENGTH, measure = (chunk) => telegramLength(chunk.text), firstLen = maxLen) {
+  const { text } = rich;
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    const limit = chunks.length === 0 ? firstLen : maxLen;
+    const fits = (end) => measure(sliceRichText(rich, start, end)) <= limit;
+    let end = text.length;
+    if (!fits(end)) {
+      // Largest end that still fits; always take at least one character
+      let lo = start + 1;
+      let hi = end - 1;
+      while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (fits(mid)) lo = mid;
+        else hi = mid - 1;
+      }
+      end = avoidMarkupTokens(text, start, preferredBreak(text, start, graphemeBoundaryBefore(text, lo, start)));
+      end = avoidLinks(rich.entities, start, end);
+    }
+    const chunk = sliceRichText(rich, start, end);
+    if (chunk.text) chunks.push(chunk);
+    start = end;
+  }
+  return chunks;
+}
+
+/**
+ * Pack rendered top-level blocks into chunks. Blocks are joined with a blank line when
+ * the source had one (`spaced`; a number is that many blank lines), else a newline. A block that doesn't fit the current
+ * chunk starts the next one; a block that doesn't fit any chunk is split. A fragment with a
+ * `continuation` (a table row) is preceded by it when it starts a chunk.
+ * @param {{ text: string, entities: object[], spaced?: boolean|number, continuation?: object }[]} fragments
+ * @param {number} [maxLen=4096]
+ * @param {(chunk: object) => number} [measure]
+ * @param {number} [firstLen=maxLen] - Limit for the first chunk only (e.g. a media caption)
+ * @returns {{ chunks: { text: string, entities: object[] }[], placement: number[] }}
+ *   placement[i] is the index of the chunk fragment i starts in
+ */
+export function packFragments(
+  fragments,
+  maxLen = TELEGRAM_MAX_LENGTH,
+  measure = (chunk) => telegramLength(chunk.text),
+  firstLen = maxLen,
+) {
+  const packer = createPacker(maxLen, measure, firstLen);
+  const placement = fragments.map((fragment) => packer.add(fragment));
+  return { chunks: packer.finish(), placement };
+}
+
+/**
+ * packFragments one fragment at a time, for text that arrives in pieces: add() packs a
+ * fragment and returns the index of the chunk it starts in. `chunks` holds the chunks that
+ * are closed, which later fragments can't change; finish() closes the last one. preview()
+ * returns the chunks after the closed ones that adding fragments and finishing would give,
+ * without doing either.
+ * @param {number} [maxLen=4096]
+ * @param {(chunk: object) => number} [measure]
+ * @param {number} [firstLen=maxLen]
+ * @returns {{ chunks: object[], add: (fragment: object) => number, finish: () => object[],
+ *   preview: (fragments: object[]) => object[] }}
+ */
+export function createPacker(maxLen = TELEGRAM_MAX_LENGTH, measure = (chunk) => telegramLength(chunk.text), firstLen = maxLen) {
+  const chunks = [];
+  let current = [];
+  // Limit of the chunk being filled
+  const limit = () => (chunks.length === 0 ? firstLen : maxLen);
+
+  const flush = () => {
+    if (current.length > 0) chunks.push(joinRichText(current));
+    current = [];
+  };
+
+  const add = (fragment) => {
+    if (!fragment.text) return chunks.length;
+    if (current.length > 0 && measure(joinRichText([...current, fragment])) <= limit()) {
+      current.push(fragment);
+      return chunks.length;
+    }
+    flush();
+    const placement = chunks.length;
+    if (fragment.continuation) {
+      const opened = [fragment.continuation, { ...fragment, spaced: false }];
+      if (measure(joinRichText(opened)) <= limit()) {
+        current.push(...opened);
+        return placement;
+      }
+    }
+    if (measure(fragment) <= limit()) {
+      current.push(fragment);
+      return placement;
+    }
+    const pieces = splitRichText(fragment, maxLen, measure, limit());
+    chunks.push(...pieces.slice(0, -1));
+    // The tail stays open so the following blocks can join it
+    if (pieces.length > 0) current.push({ ...pieces[pieces.length - 1], spaced: fragment.spaced });
+    return placement;
+  };
+
+  const finish = () => {
+    flush();
+    return chunks;
+  };
+
+  const preview = (fragments) => {
+    const closed = chunks.length;
+    const open = current;
+    current = [...current];
+    for (const fragment of fragments) add(fragment);
+    flush();
+    current = open;
+    return chunks.splice(closed);
+  };
+
+  return { chunks, add, finish, preview };
+}
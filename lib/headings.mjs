@@ -0,0 +1,78 @@
+/**
+ * Heading styles per level (option headingStyles: { 1: "bold+underline", 3: "🔹+bold" }).
+ *
+ * A style is "+"-joined tokens: bold, underline, italic (rich styles only), uppercase, raw
+ * (keep the "## " as written); any other token is a prefix such as an emoji.
+ * Plain output can't format, so there only uppercase and prefixes apply. An empty style
+ * is the bare heading text.
+ */
+
+const ENTITY_FORMATS = ["bold", "underline", "italic"];
+
+export const HEADING_FORMATS = [...ENTITY_FORMATS, "uppercase", "raw"];
+
+export const DEFAULT_HEADING_STYLES = {
+  rich: { 1: "bold+underline", 2: "bold", 3: "bold", 4: "bold", 5: "bold", 6: "bold" },
+  plain: { 1: "uppercase", 2: "uppercase", 3: "", 4: "", 5: "", 6: "" },
+};
+
+function tokens(style) {
+  return style
+    .split("+")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reason a heading style is invalid, or null. Words that aren't formats are likely typos,
+ * so a prefix must not be a plain word.
+ * @param {unknown} style
+ * @returns {string|null}
+ */
+export function headingStyleError(style) {
+  if (typeof style !== "string") return "must be a string";
+  const unknown = tokens(style).find((t) => /^[a-z]+$/i.test(t) && !HEADING_FORMATS.includes(t));
+  return unknown ? `unknown format "${unknown}"` : null;
+}
+
+/**
+ * @param {number} level
+ * @param {Record<number, string>} [overrides]
+ * @param {boolean} [plain=false]
+ * @returns {{ raw: boolean, uppercase: boolean, entities: string[], prefix: string }}
+ */
+export function resolveHeadingStyle(level, overrides = {}, plain = false) {
+  const list = tokens(overrides[level] ?? DEFAULT_HEADING_STYLES[plain ? "plain" : "rich"][level]);
+  return {
+    raw: list.includes("raw"),
+    uppercase: list.includes("uppercase"),
+    entities: plain ? [] : list.filter((t) => ENTITY_FORMATS.includes(t)),
+    prefix: list
+      .filter((t) => !HEADING_FORMATS.includes(t))
+      .map((t) => `${t} `)
+      .join(""),
+  };
+}
+
+function rawOf(nodes) {
+  return nodes.map((n) => n.raw).join("");
+}
+
+/**
+ * Uppercase the text of inline nodes, keeping their markup (code and URLs untouched).
+ * @param {object[]} nodes
+ * @returns {object[]}
+ */
+export function uppercaseInline(nodes) {
+  return nodes.map((node) => {
+    if (node.type === "text") return { ...node, text: node.text.toUpperCase(), raw: node.raw.toUpperCase() };
+    if (node.type === "code" || node.autolink || !node.children) return node;
+    const children = uppercaseInline(node.children);
+    if (node.type === "link") {
+      // "[label](url)": only the label changes
+      return { ...node, children, raw: `[${rawOf(children)}${node.raw.slice(1 + rawOf(node.children).length)}` };
+    }
+    const k = (node.raw.length - rawOf(node.children).length) / 2;
+    return { ...node, children, raw: node.raw.slice(0, k) + rawOf(children) + node.raw.slice(node.raw.length - k) };
+  });
+}
@@ -0,0 +1,208 @@
+/**
+ * Layout: turns top-level AST blocks into the rendered fragments the chunker packs,
+ * applying overflow rules to blocks that can't fit in one message.
+ *
+ * Code blocks (option codeBlockOverflow):
+ *   - undefined:  the block continues into the next chunk (closed and reopened)
+ *   - "split":    re-fenced parts with the same language, each headed by "(1/3)"
+ *   - "document": replaced by a short notice; the code becomes an attachment descriptor
+ *   - "truncate": cut to what fits, followed by a "… N more lines" notice
+ *
+ * Tables (options tableStyle, maxTableRows) are first rewritten into the blocks of their
+ * style (tables.mjs). A monospace grid too long for one chunk is split between rows into
+ * grids that each repeat the header. Lists become one block per item (lists.mjs), so a
+ * chunk boundary falls between items.
+ */
+
+import { graphemeBoundaryBefore } from "./chunk.mjs";
+import { listToBlocks } from "./lists.mjs";
+import { gridBlock, tableToBlocks } from "./tables.mjs";
+
+export const CODE_BLOCK_OVERFLOW_MODES = ["split", "document", "truncate"];
+
+const EXTENSIONS = {
+  js: "js", javascript: "js", jsx: "jsx", mjs: "mjs", cjs: "cjs",
+  ts: "ts", typescript: "ts", tsx: "tsx",
+  py: "py", python: "py",
+  sh: "sh", bash: "sh", shell: "sh", zsh: "sh", console: "txt",
+  json: "json", yaml: "yml", yml: "yml", toml: "toml", ini: "ini",
+  html: "html", xml: "xml", css: "css", sql: "sql",
+  go: "go", rust: "rs", rs: "rs", java: "java", kotlin: "kt", swift: "swift",
+  c: "c", h: "h", cpp: "cpp", "c++": "cpp", cs: "cs", csharp: "cs",
+  rb: "rb", ruby: "rb", php: "php", lua: "lua", r: "r",
+  md: "md", markdown: "md", diff: "diff", patch: "diff", csv: "csv",
+  log: "log", text: "txt", txt: "txt", plaintext: "txt",
+};
+
+function textParagraph(text) {
+  return { type: "paragraph", children: [{ type: "text", text, raw: text }], raw: text };
+}
+
+function codePart(block, body) {
+  const raw = `${block.fence}${block.info}\n${body}\n${block.fence}`;
+  return { ...block, body, closed: true, raw };
+}
+
+// Lines of a code body as units; a line that can't fit on its own is cut into pieces
+// that are rejoined without a newline.
+function codeUnits(body, fitsLine) {
+  const units = [];
+  for (const line of body.split("\n")) {
+    let rest = line;
+    while (rest.length > 0 && !fitsLine(rest)) {
+      let lo = 1;
+      let hi = rest.length - 1;
+      while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (fitsLine(rest.slice(0, mid))) lo = mid;
+        else hi = mid - 1;
+      }
+      const cut = graphemeBoundaryBefore(rest, lo);
+      units.push({ text: rest.slice(0, cut), joinNext: "" });
+      rest = rest.slice(cut);
+    }
+    units.push({ text: rest, joinNext: "\n" });
+  }
+  return units;
+}
+
+function joinUnits(units) {
+  return units.map((u, i) => (i < units.length - 1 ? u.text + u.joinNext : u.text)).join("");
+}
+
+// Largest n such that units[from, from + n) fits; at least 1.
+function takeFitting(units, from, fits) {
+  let lo = 1;
+  let hi = units.length - from;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (fits(joinUnits(units.slice(from, from + mid)))) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * Filename for a code attachment, from its fence language: "snippet.py", "snippet-2.py", …
+ * @param {string} lang
+ * @param {Set<string>} used - Filenames already handed out in this message
+ */
+export function snippetFilename(lang, used = new Set()) {
+  const ext = EXTENSIONS[String(lang).toLowerCase()] ?? "txt";
+  let name = `snippet.${ext}`;
+  for (let n = 2; used.has(name); n++) name = `snippet-${n}.${ext}`;
+  used.add(name);
+  return name;
+}
+
+/**
+ * @param {object[]} blocks - Top-level AST blocks
+ * @param {object} options
+ * @param {(block: object) => { text: string, entities: object[] }} options.renderBlock
+ * @param {(fragment: { text: string, entities: object[] }) => boolean} options.fits - Fits one chunk?
+ * @param {'split'|'document'|'truncate'} [options.codeBlockOverflow]
+ * @param {'bullets'|'cards'|'monospace'|'auto'} [options.tableStyle='bullets']
+ * @param {number} [options.maxTableRows] - Rows rendered per table before "…and N more rows"
+ * @param {Set<string>} [options.filenames] - Attachment filenames the message already uses (laid
+ *   out a part at a time)
+ * @returns {{ fragments: object[], attachments: object[] }}
+ *   fragments carry `spaced` and, for table rows, `continuation` (rich text to open a chunk
+ *   with); an attachment's `fragment` is the index of its notice fragment
+ */
+export function layoutBlocks(
+  blocks,
+  { renderBlock, fits, codeBlockOverflow, tableStyle = "bullets", maxTableRows, filenames = new Set() },
+) {
+  const fragments = [];
+  const attachments = [];
+
+  // Several blocks rendered as one fragment, joined by single newlines
+  const renderGroup = (group, spaced) => {
+    let text = "";
+    const entities = [];
+    group.forEach((block, i) => {
+      if (i > 0) text += "\n";
+      const r = renderBlock(block);
+      for (const e of r.entities) entities.push({ ...e, offset: e.offset + text.length });
+      text += r.text;
+    });
+    return { text, entities, spaced };
+  };
+
+  const expanded = blocks.flatMap((block) => {
+    if (block.type === "table") return tableToBlocks(block, tableStyle, { maxRows: maxTableRows });
+    if (block.type === "list") return listToBlocks(block);
+    return [block];
+  });
+  for (const block of expanded) {
+    const fragment = { ...renderBlock(block), spaced: block.spaced };
+    if (block.continuation) fragment.continuation = renderBlock(block.continuation);
+
+    if (block.grid && !fits(fragment)) {
+      // As many whole rows per grid as fit; a single row too long for a chunk goes alone
+      const { rows } = block.grid;
+      for (let i = 0; i < rows.length; ) {
+        let n = 1;
+        while (i + n < rows.length && fits(renderBlock(gridBlock(block.grid, rows.slice(i, i + n + 1))))) n++;
+        fragments.push({ ...renderBlock(gridBlock(block.grid, rows.slice(i, i + n))), spaced: i === 0 ? block.spaced : true });
+        i += n;
+      }
+      continue;
+    }
+
+    if (block.type !== "code" || !codeBlockOverflow || fits(fragment)) {
+      fragments.push(fragment);
+      continue;
+    }
+
+    if (codeBlockOverflow === "document") {
+      const filename = snippetFilename(block.lang, filenames);
+      const lines = block.body.split("\n").length;
+      attachments.push({
+        type: "document",
+        filename,
+        language: block.lang,
+        mimeType: "text/plain",
+        content: block.body,
+        fragment: fragments.length,
+      });
+      fragments.push(renderGroup([textParagraph(`📎 ${filename} (${lines} lines, sent as a file)`)], block.spaced));
+      continue;
+    }
+
+    if (codeBlockOverflow === "truncate") {
+      // Reserve room for the notice with the widest possible line count
+      const total = block.body.split("\n").length;
+      const notice = (n) => textParagraph(`… truncated, ${n} more line${n === 1 ? "" : "s"}`);
+      const fitsBody = (body) => fits(renderGroup([codePart(block, body), notice(total)], false));
+      const units = codeUnits(block.body, fitsBody);
+      const shown = units.slice(0, takeFitting(units, 0, fitsBody));
+      const body = joinUnits(shown);
+      // A line cut part-way still counts as remaining
+      const partial = shown[shown.length - 1].joinNext === "";
+      const rest = total - body.split("\n").length + (partial ? 1 : 0);
+      fragments.push(renderGroup([codePart(block, body), notice(rest)], block.spaced));
+      continue;
+    }
+
+    // split: size parts with a marker as wide as the final count needs
+    let parts;
+    for (let width = 1; ; width++) {
+      const marker = textParagraph(`(${"9".repeat(width)}/${"9".repeat(width)})`);
+      const fitsBody = (body) => fits(renderGroup([marker, codePart(block, body)], false));
+      const units = codeUnits(block.body, fitsBody);
+      parts = [];
+      for (let i = 0; i < units.length; ) {
+        const n = takeFitting(units, i, fitsBody);
+        parts.push(joinUnits(units.slice(i, i + n)));
+        i += n;
+      }
+      if (String(parts.length).length <= width) break;
+    }
+    parts.forEach((body, i) => {
+      const marker = textParagraph(`(${i + 1}/${parts.length})`);
+      fragments.push(renderGroup([marker, codePart(block, body)], i === 0 ? block.spaced : true));
+    });
+  }
+  return { fragments, attachments };
+}
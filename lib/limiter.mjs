@@ -0,0 +1,91 @@
+/**
+ * Token-bucket rate limiting for outgoing Bot API calls (TelegramProxy option rateLimit).
+ *
+ * Telegram allows about one message per second in a chat and about 30 per second across
+ * all chats. A RateLimiter keeps one bucket per chat plus a global one; every call takes a
+ * token from both, waiting until both have one. Share one RateLimiter between proxies that
+ * use the same bot token.
+ */
+
+export const DEFAULT_RATE_LIMIT = { perChat: 1, global: 30 };
+
+// Buckets are tracked by the time they are next full-enough ("theoretical arrival time"),
+// which makes reserving a token for a later moment (concurrent callers queueing) exact.
+class TokenBucket {
+  /**
+   * @param {number} rate - Tokens per second
+   * @param {number} burst - Bucket size
+   */
+  constructor(rate, burst) {
+    this.interval = 1000 / rate;
+    this.slack = (burst - 1) * this.interval;
+    this.tat = 0;
+  }
+
+  // Earliest time from `now` at which a token is available
+  available(now) {
+    return Math.max(now, this.tat - this.slack);
+  }
+
+  take(at) {
+    this.tat = Math.max(this.tat, at) + this.interval;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export class RateLimiter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.perChat=1] - Calls per second per chat (burst 1)
+   * @param {number} [options.global=30] - Calls per second overall (burst of one second's worth)
+   */
+  constructor({ perChat = DEFAULT_RATE_LIMIT.perChat, global = DEFAULT_RATE_LIMIT.global } = {}) {
+    if (!(perChat > 0) || !(global > 0)) throw new Error("RateLimiter: rates must be positive numbers");
+    this._perChat = perChat;
+    this._global = new TokenBucket(global, Math.max(1, Math.floor(global)));
+    this._chats = new Map();
+  }
+
+  _bucket(chatId) {
+    let bucket = this._chats.get(chatId);
+    if (!bucket) {
+      bucket = new TokenBucket(this._perChat, 1);
+      this._chats.set(chatId, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Wait for a token for a call to this chat.
+   * @param {string|number} chatId
+   * @returns {Promise<void>}
+   */
+  async acquire(chatId) {
+    const now = Date.now();
+    this._prune(now);
+    const chat = this._bucket(chatId);
+    const at = Math.max(chat.available(now), this._global.available(now));
+    chat.take(at);
+    this._global.take(at);
+    if (at > now) await sleep(at - now);
+  }
+
+  /**
+   * Keep calls to a chat waiting for a while (a 429's retry_after).
+   * @param {string|number} chatId
+   * @param {number} ms
+   */
+  hold(chatId, ms) {
+    const chat = this._bucket(chatId);
+    chat.tat = Math.max(chat.tat, Date.now() + ms);
+  }
+
+  // A bucket that has refilled is the same as a new one
+  _prune(now) {
+    if (this._chats.size < 1000) return;
+    for (const [chatId, bucket] of this._chats) if (bucket.tat <= now) this._chats.delete(chatId);
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Link policy shared by the renderers.
+ *
+ * - Only URLs with an allowed scheme (default http, https, tg) become links; anything else
+ *   (javascript:, relative paths, …) is rendered as its label
+ * - linkStyle "references" (plain output): "[label](url)" becomes "label [1]" and every
+ *   chunk ends with the list of the references it uses ("[1] https://…"). Numbers are per
+ *   message, so a URL cited twice keeps its number.
+ */
+
+export const DEFAULT_LINK_SCHEMES = ["http", "https", "tg"];
+
+export const LINK_STYLES = ["inline", "references"];
+
+/**
+ * @param {string} url
+ * @param {string[]} [schemes]
+ * @returns {boolean}
+ */
+export function isAllowedUrl(url, schemes = DEFAULT_LINK_SCHEMES) {
+  const m = /^([A-Za-z][A-Za-z0-9+.-]*):/.exec(url);
+  return m !== null && schemes.includes(m[1].toLowerCase());
+}
+
+/**
+ * Reference numbering for one message: URLs are numbered in order of first use.
+ * @param {Map<string, number>} [numbers] - URLs numbered so far; new ones are added to it
+ * @returns {(url: string) => number}
+ */
+export function createReferences(numbers = new Map()) {
+  return (url) => {
+    if (!numbers.has(url)) numbers.set(url, numbers.size + 1);
+    return numbers.get(url);
+  };
+}
+
+/**
+ * Append the references used in a chunk (entities carrying `reference`) as "[n] url" lines.
+ * @param {string} text
+ * @param {object[]} entities
+ * @returns {string}
+ */
+export function appendReferences(text, entities) {
+  const urls = new Map();
+  for (const e of entities) if (e.reference !== undefined) urls.set(e.reference, e.url);
+  if (urls.size === 0) return text;
+  const lines = [...urls].sort(([a], [b]) => a - b).map(([n, url]) => `[${n}] ${url}`);
+  return `${text}\n\n${lines.join("\n")}`;
+}
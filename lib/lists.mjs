@@ -0,0 +1,49 @@
+/**
+ * List normalization for narrow screens. Markdown indentation collapses on phones, so
+ * nested "-", "*", "+" and "1." lists become one line per item with consistent markers
+ * and a fixed indentation step:
+ *
+ *   • first level        1. ordered items are numbered from the list's start
+ *      ◦ second level        (the numbers are in the text before chunking, so a list
+ *         ▪ third level       split across chunks keeps counting)
+ *
+ * Items are expressed as paragraph blocks, so every style renders them and the chunker
+ * can break between any two items.
+ */
+
+const BULLETS = ["•", "◦", "▪"];
+const INDENT = "   ";
+
+function textNode(text) {
+  return { type: "text", text, raw: text };
+}
+
+// Continuation lines of an item line up under its text
+function indentLines(nodes, pad) {
+  const indent = (text) => text.replace(/\n/g, `\n${pad}`);
+  return nodes.map((n) => (n.type === "text" ? { ...n, text: indent(n.text), raw: indent(n.raw) } : n));
+}
+
+/**
+ * @param {object} list - List block
+ * @returns {object[]} One paragraph block per item, nested items following their parent
+ */
+export function listToBlocks(list) {
+  const blocks = [];
+  const walk = (current, depth) => {
+    current.items.forEach((item, i) => {
+      const marker = current.ordered ? `${current.start + i}.` : BULLETS[depth % BULLETS.length];
+      const prefix = `${INDENT.repeat(depth)}${marker} `;
+      const children = [textNode(prefix), ...indentLines(item.children, " ".repeat(prefix.length))];
+      blocks.push({
+        type: "paragraph",
+        children,
+        raw: children.map((n) => n.raw).join(""),
+        spaced: blocks.length === 0 ? list.spaced : false,
+      });
+      if (item.list) walk(item.list, depth + 1);
+    });
+  };
+  walk(list, 0);
+  return blocks;
+}
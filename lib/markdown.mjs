@@ -0,0 +1,709 @@
+/**
+ * Small CommonMark-ish markdown parser.
+ *
+ * Produces an AST that every output style renders from, so plain, HTML, MarkdownV2 and
+ * entity output all agree on what is a fence, a table, a heading or emphasis.
+ *
+ * Block nodes:
+ *   { type: "paragraph", children: Inline[], raw }
+ *   { type: "heading", level: 1-6, children: Inline[], raw }
+ *   { type: "code", lang, info, body, fence, closed, raw }
+ *   { type: "table", header: Cell[], rows: Cell[][], align, raw }  Cell = { children: Inline[], raw }
+ *     align: "left" | "center" | "right" | null per column, from the delimiter row
+ *   { type: "blockquote", children: Block[], raw }
+ *   { type: "list", ordered, start, items: Item[], raw }  Item = { children: Inline[], raw, list? }
+ *     items nest by indentation (item.list); continuation lines join their item
+ * Every block also carries `spaced` (true when a blank line preceded it in the source), and
+ * `blankLines` when there were several.
+ *
+ * Inline nodes:
+ *   { type: "text", text } | { type: "code", text }
+ *   { type: "strong" | "emphasis" | "strikethrough" | "spoiler", children }   ~~strike~~, ||spoiler||
+ *   { type: "link", url, children, autolink? }  autolink: from <scheme:…> or a bare URL, whose
+ *     text is the URL itself (GFM rules for trailing punctuation; "www." gets "http://")
+ * Every inline node carries `raw`: concatenating the raw of a node list gives back its source.
+ *
+ * Deliberate differences from CommonMark: no setext headings, no indented code blocks
+ * (agents indent list continuations, not code) and fences may be indented any amount.
+ */
+
+const FENCE_OPEN_RE = /^(\s*)(`{3,}|~{3,})(.*)$/;
+const ATX_HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const BLOCKQUOTE_RE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM_RE = /^([ \t]*)(?:[-*+]|(\d{1,9})[.)])[ \t]+(\S.*)$/;
+const THEMATIC_BREAK_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const TABLE_DELIMITER_CELL_RE = /^:?-+:?$/;
+const ASCII_PUNCT_RE = /[!-/:-@[-`{-~]/;
+const AUTOLINK_RE = /<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/y;
+const BARE_URL_RE = /(?:https?:\/\/|tg:\/\/|www\.)[^\s<]+/iy;
+
+function isBlank(line) {
+  return line.trim() === "";
+}
+
+/**
+ * Parse a markdown document.
+ * @param {string} text
+ * @returns {{ type: "root", children: object[] }}
+ */
+export function parseMarkdown(text) {
+  const lines = String(text).replace(/\r\n?/g, "\n").split("\n");
+  return { type: "root", children: parseBlocks(lines) };
+}
+
+/**
+ * Length of the longest prefix of a document still being received whose blocks are final.
+ * Appended text can only change the last block (an open fence, a table or list still
+ * receiving rows, a paragraph, the line being written), so the prefix ends where that
+ * block starts.
+ * @param {string} text
+ * @returns {number}
+ */
+export function settledLength(text) {
+  // The line after the last newline may be incomplete
+  const complete = text.slice(0, text.lastIndexOf("\n") + 1);
+  const offsets = [0];
+  for (const m of complete.matchAll(/\r\n?|\n/g)) offsets.push(m.index + m[0].length);
+  const starts = [];
+  parseBlocks(complete.split(/\r\n?|\n/).slice(0, -1), starts);
+  return starts.length < 2 ? 0 : offsets[starts[starts.length - 1]];
+}
+
+/**
+ * Where a document has code: fenced blocks (fences included) and inline code spans, as
+ * [start, end) offsets, in order. Line breaks must already be "\n".
+ * @param {string} text
+ * @returns {[number, number][]}
+ */
+export function codeRanges(text) {
+  const lines = text.split("\n");
+  const starts = [0];
+  for (const line of lines) starts.push(starts[starts.length - 1] + line.length + 1);
+  const ranges = [];
+  const spans = (from, to) => {
+    // Code spans don't cross a blank line
+    for (const m of text.slice(from, to).matchAll(/(?:[^\n]|\n(?![ \t]*\n))+/g)) {
+      const para = m[0];
+      for (let i = 0; i < para.length; i++) {
+        if (para[i] === "\\") {
+          i++;
+        } else if (para[i] === "`") {
+          const { n, end } = scanCodeSpan(para, i);
+          if (end >= 0) ranges.push([from + m.index + i, from + m.index + end + n]);
+          i = (end >= 0 ? end + n : i + n) - 1;
+        }
+      }
+    }
+  };
+  let prose = 0;
+  for (let i = 0; i < lines.length; ) {
+    const open = matchFenceOpen(lines[i]);
+    if (!open) {
+      i++;
+      continue;
+    }
+    const { next } = parseFence(lines, i, open);
+    spans(prose, starts[i]);
+    ranges.push([starts[i], Math.min(text.length, starts[next] - 1)]);
+    prose = Math.min(text.length, starts[next]);
+    i = next;
+  }
+  spans(prose, text.length);
+  return ranges;
+}
+
+function matchFenceOpen(line) {
+  const m = FENCE_OPEN_RE.exec(line);
+  if (!m) return null;
+  const [, indent, fence, info] = m;
+  // A backtick fence's info string cannot contain backticks (it would be a code span)
+  if (fence[0] === "`" && info.includes("`")) return null;
+  return { indent: indent.length, fence, info: info.trim() };
+}
+
+function parseFence(lines, start, open) {
+  const closeRe = new RegExp(`^\\s*${open.fence[0] === "`" ? "`" : "~"}{${open.fence.length},}\\s*$`);
+  const body = [];
+  let i = start + 1;
+  let closed = false;
+  for (; i < lines.length; i++) {
+    if (closeRe.test(lines[i])) {
+      closed = true;
+      i++;
+      break;
+    }
+    // Strip up to the opening fence's indentation from each content line
+    const line = lines[i];
+    let strip = 0;
+    while (strip < open.indent && line[strip] === " ") strip++;
+    body.push(line.slice(strip));
+  }
+  const raw = lines.slice(start, i);
+  if (!closed) raw.push(" ".repeat(open.indent) + open.fence);
+  return {
+    node: {
+      type: "code",
+      lang: open.info.split(/\s+/)[0] || "",
+      info: open.info,
+      body: body.join("\n"),
+      fence: open.fence,
+      closed,
+      raw: raw.join("\n"),
+    },
+    next: i,
+  };
+}
+
+// GFM delimiter row ("|:--|--:|", edge pipes optional): the column alignments, or null when
+// the line isn't one. It needs at least one pipe, so "---" alone stays a rule.
+function parseDelimiterRow(line) {
+  if (!line.includes("|")) return null;
+  const cells = splitRow(line);
+  if (!cells.every((c) => TABLE_DELIMITER_CELL_RE.test(c))) return null;
+  return cells.map((c) => {
+    if (c.startsWith(":") && c.endsWith(":")) return "center";
+    if (c.endsWith(":")) return "right";
+    return c.startsWith(":") ? "left" : null;
+  });
+}
+
+function isTableStart(lines, i) {
+  if (i + 2 >= lines.length || !lines[i].includes("|")) return false;
+  const align = parseDelimiterRow(lines[i + 1]);
+  return (
+    align !== null &&
+    align.length === splitRow(lines[i]).length &&
+    lines[i + 2].includes("|") &&
+    !isBlank(lines[i + 2])
+  );
+}
+
+// Closing backtick run of exactly `length` backticks at or after `from`, or -1
+function findCodeSpanEnd(text, from, length) {
+  const re = new RegExp(`(?<!\`)\`{${length}}(?!\`)`, "g");
+  re.lastIndex = from;
+  const m = re.exec(text);
+  return m ? m.index : -1;
+}
+
+// Cells of a row, GFM-style: edge pipes are optional, "\|" is a literal pipe (also inside
+// code spans, where it loses its backslash) and a pipe inside a code span doesn't split.
+function splitRow(line) {
+  let text = line.trim();
+  if (text.startsWith("|")) text = text.slice(1);
+  const cells = [];
+  let cell = "";
+  let endsWithPipe = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    endsWithPipe = false;
+    if (ch === "\\" && i + 1 < text.length) {
+      cell += text[i + 1] === "|" ? "|" : ch + text[i + 1];
+      i++;
+    } else if (ch === "`") {
+      const run = /^`+/.exec(text.slice(i))[0];
+      const end = findCodeSpanEnd(text, i + run.length, run.length);
+      const span = end === -1 ? run : text.slice(i, end + run.length);
+      cell += span.replace(/\\\|/g, "|");
+      i += span.length - 1;
+    } else if (ch === "|") {
+      cells.push(cell.trim());
+      cell = "";
+      endsWithPipe = true;
+    } else {
+      cell += ch;
+    }
+  }
+  if (!endsWithPipe) cells.push(cell.trim());
+  return cells;
+}
+
+function parseCell(raw) {
+  return { children: parseInline(raw), raw };
+}
+
+function parseTable(lines, start) {
+  let i = start + 2;
+  const rows = [];
+  while (i < lines.length && !isBlank(lines[i]) && lines[i].includes("|")) {
+    rows.push(splitRow(lines[i]).map(parseCell));
+    i++;
+  }
+  return {
+    node: {
+      type: "table",
+      header: splitRow(lines[start]).map(parseCell),
+      rows,
+      align: parseDelimiterRow(lines[start + 1]),
+      raw: lines.slice(start, i).map((l) => l.trimEnd()).join("\n"),
+    },
+    next: i,
+  };
+}
+
+function matchListItem(line) {
+  if (THEMATIC_BREAK_RE.test(line)) return null;
+  const m = LIST_ITEM_RE.exec(line);
+  if (!m) return null;
+  return {
+    indent: m[1].replace(/\t/g, "    ").length,
+    ordered: m[2] !== undefined,
+    number: m[2] === undefined ? 1 : Number(m[2]),
+    content: m[3].trimEnd(),
+  };
+}
+
+function parseList(lines, start) {
+  const first = matchListItem(lines[start]);
+  const root = { type: "list", ordered: first.ordered, start: first.number, items: [] };
+  // Open lists by marker indentation, outermost first
+  const stack = [{ list: root, indent: first.indent }];
+  let i = start;
+  let end = start;
+  while (i < lines.length) {
+    if (isBlank(lines[i])) {
+      // Blank lines continue the list only when another item follows
+      let j = i;
+      while (j < lines.length && isBlank(lines[j])) j++;
+      if (j === lines.length || !matchListItem(lines[j])) break;
+      i = j;
+      continue;
+    }
+    const item = matchListItem(lines[i]);
+    let top = stack[stack.length - 1];
+    if (item) {
+      while (stack.length > 1 && item.indent < top.indent - 1) {
+        stack.pop();
+        top = stack[stack.length - 1];
+      }
+      const parent = top.list.items[top.list.items.length - 1];
+      const nested = parent && item.indent >= top.indent + 2;
+      // Switching between bullets and numbers at the top level starts a new list
+      if (!nested && stack.length === 1 && item.ordered !== root.ordered) break;
+      if (nested) {
+        parent.list = { type: "list", ordered: item.ordered, start: item.number, items: [] };
+        stack.push({ list: parent.list, indent: item.indent });
+        top = stack[stack.length - 1];
+      }
+      top.list.items.push({ text: item.content, raw: lines[i].trimEnd() });
+    } else if (startsBlock(lines, i) || i > end + 1) {
+      // Another block, or text after a blank line, ends the list
+      break;
+    } else {
+      const last = top.list.items[top.list.items.length - 1];
+      last.text += "\n" + lines[i].trim();
+      last.raw += "\n" + lines[i].trimEnd();
+    }
+    end = i;
+    i++;
+  }
+  const finish = (list) => {
+    for (const item of list.items) {
+      item.children = parseInline(item.text);
+      delete item.text;
+      if (item.list) finish(item.list);
+    }
+  };
+  finish(root);
+  root.raw = lines.slice(start, end + 1).map((l) => l.trimEnd()).join("\n");
+  return { node: root, next: end + 1 };
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  const item = matchListItem(line);
+  return (
+    matchFenceOpen(line) !== null ||
+    ATX_HEADING_RE.test(line) ||
+    BLOCKQUOTE_RE.test(line) ||
+    // Like CommonMark, an ordered list interrupts a paragraph only when it starts at 1
+    (item !== null && (!item.ordered || item.number === 1)) ||
+    isTableStart(lines, i)
+  );
+}
+
+// starts (optional) collects the index of each block's first line
+function parseBlocks(lines, starts) {
+  const blocks = [];
+  let blank = 0; // blank lines since the last block
+  let i = 0;
+  let blockStart = 0;
+
+  const push = (node) => {
+    node.spaced = blank > 0 && blocks.length > 0;
+    if (node.spaced && blank > 1) node.blankLines = blank;
+    blocks.push(node);
+    starts?.push(blockStart);
+    blank = 0;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      blank++;
+      i++;
+      continue;
+    }
+    blockStart = i;
+
+    const fence = matchFenceOpen(line);
+    if (fence) {
+      const { node, next } = parseFence(lines, i, fence);
+      push(node);
+      i = next;
+      continue;
+    }
+
+    const heading = ATX_HEADING_RE.exec(line);
+    if (heading) {
+      const content = (heading[2] ?? "").trim();
+      push({ type: "heading", level: heading[1].length, children: parseInline(content), raw: line.trimEnd() });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE_RE.test(line)) {
+      const inner = [];
+      const raw = [];
+      while (i < lines.length && BLOCKQUOTE_RE.test(lines[i])) {
+        inner.push(BLOCKQUOTE_RE.exec(lines[i])[1]);
+        raw.push(lines[i].trimEnd());
+        i++;
+      }
+      push({ type: "blockquote", children: parseBlocks(inner), raw: raw.join("\n") });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const { node, next } = parseTable(lines, i);
+      push(node);
+      i = next;
+      continue;
+    }
+
+    if (matchListItem(line)) {
+      const { node, next } = parseList(lines, i);
+      push(node);
+      i = next;
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const para = [];
+    while (i < lines.length && !isBlank(lines[i]) && (para.length === 0 || !startsBlock(lines, i))) {
+      para.push(lines[i].trimEnd());
+      i++;
+    }
+    const raw = para.join("\n");
+    push({ type: "paragraph", children: parseInline(raw), raw });
+  }
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Inline parsing: scan into text / code / link / delimiter-run tokens, then resolve
+// emphasis with the CommonMark delimiter algorithm (which is what handles nesting).
+
+function isWhitespace(ch) {
+  return ch === undefined || /\s/u.test(ch);
+}
+
+function isWordChar(ch) {
+  return ch !== undefined && /[\p{L}\p{N}]/u.test(ch);
+}
+
+function isPunctuation(ch) {
+  return ch !== undefined && /[\p{P}\p{S}]/u.test(ch);
+}
+
+function pushText(tokens, text, raw = text) {
+  const last = tokens[tokens.length - 1];
+  if (last && last.type === "text") {
+    last.text += text;
+    last.raw += raw;
+  } else {
+    tokens.push({ type: "text", text, raw });
+  }
+}
+
+// Find the end of a code span starting at `start` (a run of n backticks), or -1.
+function scanCodeSpan(text, start) {
+  let n = 0;
+  while (text[start + n] === "`") n++;
+  let i = start + n;
+  while (i < text.length) {
+    const next = text.indexOf("`", i);
+    if (next < 0) return { n, end: -1 };
+    let run = 0;
+    while (text[next + run] === "`") run++;
+    if (run === n) return { n, end: next };
+    i = next + run;
+  }
+  return { n, end: -1 };
+}
+
+// Find the ] matching the [ at `start`, skipping code spans and escapes. Returns index or -1.
+function scanLinkLabel(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\\") {
+      i++;
+    } else if (ch === "`") {
+      const { n, end } = scanCodeSpan(text, i);
+      if (end >= 0) i = end + n - 1;
+      else i += n - 1;
+    } else if (ch === "[") {
+      depth++;
+    } else if (ch === "]") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// Parse "(destination "title")" at `start`; parentheses in the URL must balance.
+function scanLinkDestination(text, start) {
+  if (text[start] !== "(") return null;
+  let i = start + 1;
+  while (text[i] === " ") i++;
+  let url = "";
+  if (text[i] === "<") {
+    const close = text.indexOf(">", i);
+    if (close < 0 || text.slice(i, close).includes("\n")) return null;
+    url = text.slice(i + 1, close);
+    i = close + 1;
+  } else {
+    let depth = 0;
+    const from = i;
+    for (; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === "\\" && ASCII_PUNCT_RE.test(text[i + 1] ?? "")) {
+        i++;
+        continue;
+      }
+      if (/\s/.test(ch)) break;
+      if (ch === "(") depth++;
+      if (ch === ")") {
+        if (depth === 0) break;
+        depth--;
+      }
+    }
+    url = text.slice(from, i).replace(/\\([!-/:-@[-`{-~])/g, "$1");
+  }
+  while (text[i] === " ") i++;
+  // Optional title, which Telegram has no use for
+  const quote = text[i];
+  if (quote === '"' || quote === "'") {
+    const close = text.indexOf(quote, i + 1);
+    if (close < 0) return null;
+    i = close + 1;
+    while (text[i] === " ") i++;
+  }
+  if (text[i] !== ")") return null;
+  return { url, end: i + 1 };
+}
+
+// A bare URL starting at `start` (not in the middle of a word), without the trailing
+// punctuation GFM leaves out: ?!.,:*_~'" and any ) that has no ( to match.
+function scanBareUrl(text, start) {
+  if (isWordChar(text[start - 1])) return null;
+  BARE_URL_RE.lastIndex = start;
+  const m = BARE_URL_RE.exec(text);
+  if (!m) return null;
+  let url = m[0];
+  for (;;) {
+    const trimmed = url.replace(/[?!.,:*_~'"]+$/, "");
+    const unbalanced = trimmed.endsWith(")") && trimmed.split("(").length < trimmed.split(")").length;
+    const next = unbalanced ? trimmed.slice(0, -1) : trimmed;
+    if (next === url) break;
+    url = next;
+  }
+  if (!/^(?:https?:\/\/|tg:\/\/|www\.)[^/?#]/i.test(url)) return null;
+  return { text: url, url: /^www\./i.test(url) ? `http://${url}` : url, end: start + url.length };
+}
+
+function autolinkNode(text, url, raw) {
+  return { type: "link", url, children: [{ type: "text", text, raw: text }], raw, autolink: true };
+}
+
+function scanDelimiterRun(text, start) {
+  const ch = text[start];
+  let n = 0;
+  while (text[start + n] === ch) n++;
+  const before = text[start - 1];
+  const after = text[start + n];
+  const leftFlanking =
+    !isWhitespace(after) && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+  const rightFlanking =
+    !isWhitespace(before) && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+  let canOpen = leftFlanking;
+  let canClose = rightFlanking;
+  if (ch === "_") {
+    // Intraword underscores never emphasise: foo_bar_baz stays literal
+    canOpen = leftFlanking && (!rightFlanking || isPunctuation(before));
+    canClose = rightFlanking && (!leftFlanking || isPunctuation(after));
+  } else if (ch === "*" && n === 1) {
+    // Nor does a single intraword star: 2*3*4 is arithmetic, not "2<i>3</i>4"
+    canOpen = leftFlanking && !isWordChar(before);
+    canClose = rightFlanking && !isWordChar(after);
+  }
+  return { type: "delim", char: ch, count: n, origCount: n, canOpen, canClose, length: n };
+}
+
+/**
+ * Parse inline markdown into nodes.
+ * @param {string} text
+ * @returns {object[]}
+ */
+export function parseInline(text) {
+  return parseInlineNodes(text, false);
+}
+
+// inLink: inside a link label, where URLs are just text (links don't nest)
+function parseInlineNodes(text, inLink) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === "\\" && ASCII_PUNCT_RE.test(text[i + 1] ?? "")) {
+      pushText(tokens, text[i + 1], text.slice(i, i + 2));
+      i += 2;
+      continue;
+    }
+
+    if (ch === "`") {
+      const { n, end } = scanCodeSpan(text, i);
+      if (end < 0) {
+        pushText(tokens, "`".repeat(n));
+        i += n;
+        continue;
+      }
+      let code = text.slice(i + n, end).replace(/\n/g, " ");
+      if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+      tokens.push({ type: "code", text: code, raw: text.slice(i, end + n) });
+      i = end + n;
+      continue;
+    }
+
+    if (ch === "[") {
+      const close = scanLinkLabel(text, i);
+      const dest = close > i ? scanLinkDestination(text, close + 1) : null;
+      if (dest && dest.url) {
+        tokens.push({
+          type: "link",
+          url: dest.url,
+          children: parseInlineNodes(text.slice(i + 1, close), true),
+          raw: text.slice(i, dest.end),
+        });
+        i = dest.end;
+        continue;
+      }
+      pushText(tokens, ch);
+      i++;
+      continue;
+    }
+
+    if (ch === "<" && !inLink) {
+      AUTOLINK_RE.lastIndex = i;
+      const m = AUTOLINK_RE.exec(text);
+      if (m) {
+        tokens.push(autolinkNode(m[1], m[1], m[0]));
+        i += m[0].length;
+        continue;
+      }
+    }
+
+    const bare = inLink ? null : scanBareUrl(text, i);
+    if (bare) {
+      tokens.push(autolinkNode(bare.text, bare.url, bare.text));
+      i = bare.end;
+      continue;
+    }
+
+    if (ch === "*" || ch === "_" || ch === "~" || (ch === "|" && text[i + 1] === "|")) {
+      const run = scanDelimiterRun(text, i);
+      tokens.push(run);
+      i += run.length;
+      continue;
+    }
+
+    // Plain text up to the next character that could start something
+    let j = i + 1;
+    while (j < text.length && !"\\`[*_~|<".includes(text[j]) && !(!inLink && /[htw]/i.test(text[j]) && scanBareUrl(text, j))) j++;
+    pushText(tokens, text.slice(i, j));
+    i = j;
+  }
+  return resolveEmphasis(tokens);
+}
+
+function delimToText(token) {
+  return { type: "text", text: token.char.repeat(token.count), raw: token.char.repeat(token.count) };
+}
+
+// Turn leftover delimiter runs into text and merge adjacent text nodes.
+function finalizeTokens(tokens) {
+  const out = [];
+  for (const t of tokens) {
+    const node = t.type === "delim" ? delimToText(t) : t;
+    if (node.type === "text" && node.text === "") continue;
+    if (node.type === "text") pushText(out, node.text, node.raw);
+    else out.push(node);
+  }
+  return out;
+}
+
+// ~~ and || only pair as exactly two (a lone ~ is "about", a lone | a separator)
+const PAIRED_DELIMITERS = { "~": "strikethrough", "|": "spoiler" };
+
+function resolveEmphasis(tokens) {
+  let c = 0;
+  while (c < tokens.length) {
+    const closer = tokens[c];
+    if (closer.type !== "delim" || !closer.canClose || closer.count === 0) {
+      c++;
+      continue;
+    }
+    let o = c - 1;
+    for (; o >= 0; o--) {
+      const t = tokens[o];
+      if (t.type !== "delim" || t.char !== closer.char || !t.canOpen || t.count === 0) continue;
+      if (PAIRED_DELIMITERS[t.char]) {
+        if (t.origCount === 2 && closer.origCount === 2) break;
+        continue;
+      }
+      // "Rule of three": a run that can both open and close only pairs when lengths allow it
+      const bothWays = (t.canOpen && t.canClose) || (closer.canOpen && closer.canClose);
+      if (bothWays && (t.origCount + closer.origCount) % 3 === 0 && !(t.origCount % 3 === 0 && closer.origCount % 3 === 0)) {
+        continue;
+      }
+      break;
+    }
+    if (o < 0) {
+      c++;
+      continue;
+    }
+
+    const opener = tokens[o];
+    const use = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+    const marker = opener.char.repeat(use);
+    const children = finalizeTokens(tokens.slice(o + 1, c));
+    const node = {
+      type: PAIRED_DELIMITERS[opener.char] ?? (use === 2 ? "strong" : "emphasis"),
+      children,
+      raw: marker + children.map((n) => n.raw).join("") + marker,
+    };
+    opener.count -= use;
+    closer.count -= use;
+    const replacement = [];
+    if (opener.count > 0) replacement.push(opener);
+    replacement.push(node);
+    if (closer.count > 0) replacement.push(closer);
+    tokens.splice(o, c - o + 1, ...replacement);
+    // Re-examine the closer if it still has delimiters left
+    c = o + replacement.length - (closer.count > 0 ? 1 : 0);
+  }
+  return finalizeTokens(tokens);
+}
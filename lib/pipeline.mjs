@@ -0,0 +1,117 @@
+/**
+ * Stages of a preprocessor pipeline (createPreprocessor).
+ *
+ * The built-in stages run in a fixed order and can be left out:
+ *   fence       protect code (fenced blocks and code spans) from the custom source stages after it
+ *   redact      the redact option (lib/redact.mjs), on the markdown source
+ *   whitespace  one blank line between blocks however many the source had; without it they're kept
+ *   tables      tables in the style of tableStyle; without it a table stays the text it was written as
+ *   render      parse, then render each block in the output style (required)
+ *   chunk       pack into chunks of maxChunkLength; without it everything is one chunk (split: false)
+ *
+ * Custom stages go between them, by phase:
+ *   source  transform(markdown, context) → markdown, before parsing (before "render")
+ *   chunks  transform(result, context) → result, after chunking (after "chunk"): the
+ *           { chunks, parseMode, entities?, attachments?, redactions? } preprocess() returns
+ * A source stage after "fence" gets its text with code swapped for placeholders, so it can't rewrite
+ * code; `code: true`, or coming before "fence" (or without it), hands it the text as it is.
+ * context: { style, parseMode, options }.
+ */
+
+import { codeRanges } from "./markdown.mjs";
+
+export const STAGE_PHASES = ["source", "chunks"];
+
+// Where each built-in stage runs; custom stages of a phase go where that phase runs
+const BUILTIN_PHASES = {
+  fence: "source",
+  redact: "source",
+  whitespace: "blocks",
+  tables: "blocks",
+  render: "render",
+  chunk: "chunk",
+};
+const PHASE_ORDER = ["source", "blocks", "render", "chunk", "chunks"];
+
+export const DEFAULT_STAGES = Object.keys(BUILTIN_PHASES);
+
+/**
+ * Check a stage list and split it by phase.
+ * @param {Array<string|{ name: string, phase: 'source'|'chunks', transform: Function, code?: boolean }>} stages
+ *   Built-in stage names and custom stages, in the order they run
+ * @returns {{ builtins: Set<string>, source: object[], chunks: object[] }} source and chunks: the stages
+ *   of that phase in order, built-in ones as { name, builtin: true }; a custom source stage has
+ *   `code: true` unless "fence" comes before it
+ */
+export function resolveStages(stages) {
+  if (!Array.isArray(stages)) throw new Error("createPreprocessor: stages must be an array");
+  const builtins = new Set();
+  const byPhase = { source: [], chunks: [] };
+  let last = { name: undefined, rank: 0 };
+  for (const stage of stages) {
+    let phase;
+    let entry;
+    if (typeof stage === "string") {
+      phase = BUILTIN_PHASES[stage];
+      if (!phase) throw new Error(`createPreprocessor: unknown stage "${stage}"`);
+      if (builtins.has(stage)) throw new Error(`createPreprocessor: stage "${stage}" listed twice`);
+      builtins.add(stage);
+      entry = { name: stage, builtin: true };
+    } else {
+      const name = stage?.name;
+      if (typeof name !== "string" || name === "") throw new Error("createPreprocessor: a custom stage needs a name");
+      if (!STAGE_PHASES.includes(stage.phase)) {
+        throw new Error(`createPreprocessor: stage "${name}" has unknown phase "${stage.phase}"`);
+      }
+      if (typeof stage.transform !== "function") {
+        throw new Error(`createPreprocessor: stage "${name}" needs a transform function`);
+      }
+      phase = stage.phase;
+      entry = phase === "source" ? { ...stage, code: Boolean(stage.code) || !builtins.has("fence") } : stage;
+    }
+    const rank = PHASE_ORDER.indexOf(phase);
+    if (rank < last.rank) throw new Error(`createPreprocessor: stage "${entry.name}" can't run after "${last.name}"`);
+    last = { name: entry.name, rank };
+    byPhase[phase]?.push(entry);
+  }
+  if (!builtins.has("render")) throw new Error('createPreprocessor: the "render" stage is required');
+  return { builtins, ...byPhase };
+}
+
+// Placeholders for protected code: private-use characters markdown gives no meaning to
+const OPEN = "\uE000";
+const CLOSE = "\uE001";
+
+/**
+ * Run a custom source stage with the code in its text protected.
+ * @param {{ name: string, transform: Function, code?: boolean }} stage
+ * @param {string} text - Line breaks already "\n"
+ * @param {object} context
+ * @returns {string}
+ */
+export function runSourceStage(stage, text, context) {
+  const check = (out) => {
+    if (typeof out !== "string") throw new Error(`preprocess: stage "${stage.name}" must return a string`);
+    return out.replace(/\r\n?/g, "\n");
+  };
+  if (stage.code) return check(stage.transform(text, context));
+
+  const code = [];
+  let masked = "";
+  let last = 0;
+  for (const [start, end] of codeRanges(text)) {
+    masked += text.slice(last, start) + OPEN + code.length + CLOSE;
+    code.push(text.slice(start, end));
+    last = end;
+  }
+  masked += text.slice(last);
+
+  const seen = new Set();
+  const out = check(stage.transform(masked, context)).replace(new RegExp(`${OPEN}(\\d+)${CLOSE}`, "g"), (m, i) => {
+    if (seen.has(i) || !code[i]) throw new Error(`preprocess: stage "${stage.name}" copied or made up protected code`);
+    seen.add(i);
+    return code[i];
+  });
+  if (seen.size < code.length) throw new Error(`preprocess: stage "${stage.name}" dropped protected code`);
+  return out;
+}
@@ -0,0 +1,156 @@
+/**
+ * Redaction of internal IDs, secrets and personal data (option redact).
+ *
+ * Rules come in named packs. Each rule has a pattern, an action and whether it applies
+ * inside code (fenced blocks and code spans):
+ *   - remove: drop the match (and the spaces after it, when it started a line or a word)
+ *   - mask:   "•••", plus the last 4 characters of a match of 12 or more (tells keys apart); not
+ *             asterisks, which markdown would take for emphasis
+ *   - hash:   "[rule:1a2b3c4d]", the start of the value's SHA-256: equal values stay equal
+ * A pattern with a named group "secret" redacts only that group, so "api_key=" stays readable.
+ *
+ * Redaction runs on the markdown source, before fences are extracted or anything is chunked,
+ * and reports what it did (rule, action, position), never the values.
+ */
+
+import { createHash } from "node:crypto";
+import { codeRanges } from "./markdown.mjs";
+
+export const REDACTION_ACTIONS = ["remove", "mask", "hash"];
+
+export const REDACTION_PACKS = {
+  // What agents echo from their context: "message_id: 123", "sender_id: …", "timestamp: …"
+  internalIds: [
+    { name: "internalId", pattern: /\b(?:message_id|sender_id|timestamp):\s*[^\s]+\b/gi, action: "remove", inCode: false },
+  ],
+  apiKeys: [
+    { name: "apiKey", pattern: /\b(?:sk|pk|rk)-(?:[A-Za-z0-9]+-)*[A-Za-z0-9_-]{20,}/g, action: "mask", inCode: true },
+    { name: "githubToken", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g, action: "mask", inCode: true },
+    { name: "awsAccessKey", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, action: "mask", inCode: true },
+    { name: "slackToken", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g, action: "mask", inCode: true },
+    { name: "googleApiKey", pattern: /\bAIza[0-9A-Za-z_-]{35}/g, action: "mask", inCode: true },
+    { name: "telegramBotToken", pattern: /\b\d{8,10}:[A-Za-z0-9_-]{35}/g, action: "mask", inCode: true },
+    {
+      name: "secretAssignment",
+      pattern: /\b(?:api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret|secret|password|passwd)["']?\s*[:=]\s*["']?(?<secret>[^\s"'`,;]{8,})/gi,
+      action: "mask",
+      inCode: true,
+    },
+  ],
+  bearer: [
+    { name: "authorization", pattern: /\b(?:Bearer|Basic)\s+(?<secret>[A-Za-z0-9._~+/-]{8,}=*)/g, action: "mask", inCode: true },
+  ],
+  emails: [
+    {
+      name: "email",
+      pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+      action: "mask",
+      inCode: false,
+      // "j•••@example.com": the domain is rarely the private part
+      mask: (value) => `${value[0]}•••${value.slice(value.indexOf("@"))}`,
+    },
+  ],
+  phones: [
+    {
+      name: "phone",
+      // "+44 20 7946 0958", "+1 (555) 123-4567", "(555) 123-4567", "555-123-4567"; a bare digit run is
+      // more often an ID or an amount
+      pattern: /(?<![\w+])(?:(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}|\+\d{1,3}(?:[\s.-]?\d{2,4}){3,5})(?![\w])/g,
+      action: "mask",
+      inCode: false,
+    },
+  ],
+  // The user name in /home/alice/…, /Users/alice/…, C:\Users\alice\…
+  homePaths: [
+    { name: "homePath", pattern: /(?:\/home\/|\/Users\/|\b[A-Za-z]:\\Users\\)(?<secret>[^/\\\s:"'`]+)/g, action: "mask", inCode: true },
+  ],
+};
+
+function compile(rule) {
+  const { pattern } = rule;
+  if (!(pattern instanceof RegExp)) throw new Error(`redact: rule "${rule.name}" needs a RegExp pattern`);
+  if (!REDACTION_ACTIONS.includes(rule.action)) throw new Error(`redact: unknown action "${rule.action}" in rule "${rule.name}"`);
+  // g: every match; d: where the "secret" group is
+  const flags = [...new Set([...pattern.flags, "g", "d"])].join("");
+  return { ...rule, pattern: new RegExp(pattern.source, flags) };
+}
+
+/**
+ * Rules for a redact option:
+ *   true                                      every pack, with its own actions
+ *   ["emails", "apiKeys"]                     packs by name
+ *   [{ pack: "emails", action: "hash" }]      a pack with action and/or inCode set for all its rules
+ *   [{ name, pattern, action?, inCode? }]     a rule of your own (action "remove", inCode false by default)
+ * @param {boolean|Array<string|object>} [spec]
+ * @returns {object[]}
+ */
+export function resolveRedactionRules(spec) {
+  if (!spec) return [];
+  const entries = spec === true ? Object.keys(REDACTION_PACKS) : spec;
+  if (!Array.isArray(entries)) throw new Error("redact: expected true or an array of packs and rules");
+  return entries.flatMap((entry) => {
+    const { pack, ...overrides } = typeof entry === "string" ? { pack: entry } : entry;
+    if (pack === undefined) return [compile({ action: "remove", inCode: false, ...overrides })];
+    if (!Object.hasOwn(REDACTION_PACKS, pack)) throw new Error(`redact: unknown pack "${pack}"`);
+    return REDACTION_PACKS[pack].map((rule) => compile({ ...rule, ...overrides, pack }));
+  });
+}
+
+/**
+ * The redaction spec for TelegramProxy-style options: stripMetadata is the internalIds pack (true)
+ * or a rule of its own (a RegExp), ahead of the packs and rules in redact.
+ * @returns {Array<string|object>}
+ */
+export function redactionSpec({ stripMetadata, redact }) {
+  const spec = [];
+  if (stripMetadata === true) spec.push("internalIds");
+  else if (stripMetadata instanceof RegExp) spec.push({ name: "metadata", pattern: stripMetadata, action: "remove" });
+  if (redact === true) spec.push(...Object.keys(REDACTION_PACKS));
+  else if (redact) spec.push(...redact);
+  return spec;
+}
+
+function replacement(rule, value) {
+  if (rule.action === "remove") return "";
+  if (rule.action === "hash") return `[${rule.name}:${createHash("sha256").update(value).digest("hex").slice(0, 8)}]`;
+  if (rule.mask) return rule.mask(value);
+  return value.length >= 12 ? `•••${value.slice(-4)}` : "•••";
+}
+
+/**
+ * Redact a markdown text. Where matches of several rules overlap, the earlier rule wins.
+ * @param {string} text
+ * @param {boolean|Array<string|object>} spec - As for resolveRedactionRules
+ * @returns {{ text: string, redactions: { rule: string, pack?: string, action: string, index: number,
+ *   length: number, inCode: boolean }[] }} index and length: of the match in the text ("\r\n" counted as "\n")
+ */
+export function redact(text, spec) {
+  const rules = resolveRedactionRules(spec);
+  const source = String(text).replace(/\r\n?/g, "\n");
+  const code = rules.some((rule) => !rule.inCode) ? codeRanges(source) : [];
+  const matches = [];
+  for (const rule of rules) {
+    for (const m of source.matchAll(rule.pattern)) {
+      const [start, end] = m.indices.groups?.secret ?? m.indices[0];
+      if (end <= start || matches.some((o) => start < o.end && end > o.start)) continue;
+      const inCode = code.some(([from, to]) => start < to && end > from);
+      if (inCode && !rule.inCode) continue;
+      matches.push({ rule, start, end, inCode });
+    }
+  }
+  matches.sort((a, b) => a.start - b.start);
+
+  let out = "";
+  let last = 0;
+  const redactions = [];
+  for (const { rule, start, end, inCode } of matches) {
+    out += source.slice(last, start) + replacement(rule, source.slice(start, end));
+    last = end;
+    if (rule.action === "remove" && (start === 0 || /\s/.test(source[start - 1]))) {
+      while (source[last] === " " || source[last] === "\t") last++;
+    }
+    const pack = rule.pack ? { pack: rule.pack } : {};
+    redactions.push({ rule: rule.name, ...pack, action: rule.action, index: start, length: end - start, inCode });
+  }
+  return { text: out + source.slice(last), redactions };
+}
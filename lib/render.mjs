@@ -0,0 +1,622 @@
+/**
+ * Renderers for the markdown AST (see markdown.mjs).
+ *
+ * - renderPlain:    markdown source back out, with tables turned into bullets (tables.mjs)
+ * - renderEntities: plain text + MessageEntity[] (offsets in UTF-16 code units)
+ * - entitiesToHtml / entitiesToMarkdownV2: serialize text + entities as parse_mode markup
+ * - htmlToPlain / markdownV2ToPlain: markup back down to the text it displays (parse-error fallback)
+ *
+ * HTML and MarkdownV2 are produced from the entity form, so every rich style formats
+ * exactly the same constructs. Render options: linkSchemes (links.mjs), headingStyles
+ * (headings.mjs), features for the rich styles, and for plain output linkStyle plus
+ * `reference`, the message's reference numbering.
+ */
+
+import { resolveHeadingStyle, uppercaseInline } from "./headings.mjs";
+import { isAllowedUrl } from "./links.mjs";
+import { listToBlocks } from "./lists.mjs";
+import { tableToBulletLines } from "./tables.mjs";
+
+// Centralized HTML escaping — used everywhere HTML is produced
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function escapeHtmlAttribute(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;");
+}
+
+// MarkdownV2 escaping (https://core.telegram.org/bots/api#markdownv2-style).
+// Outside entities every reserved character needs a backslash; inside code only ` and \
+// do; inside a link URL only ) and \ do.
+const MARKDOWN_V2_RESERVED_RE = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+export function escapeMarkdownV2(text) {
+  return text.replace(MARKDOWN_V2_RESERVED_RE, "\\$&");
+}
+
+function escapeMarkdownV2Code(text) {
+  return text.replace(/[`\\]/g, "\\$&");
+}
+
+function escapeMarkdownV2Url(url) {
+  return url.replace(/[)\\]/g, "\\$&");
+}
+
+function blockSeparator(block) {
+  return "\n".repeat(1 + Number(block.spaced ?? 0));
+}
+
+// ---------------------------------------------------------------------------
+// Plain: keep the author's markdown; tables, lists and headings are rewritten.
+
+function rawInline(nodes) {
+  return nodes.map((n) => n.raw).join("");
+}
+
+function headingInline(block, style) {
+  return style.uppercase ? uppercaseInline(block.children) : block.children;
+}
+
+function renderPlainBlock(block, options = {}) {
+  if (block.type === "table") return tableToBulletLines(block).map(rawInline).join("\n");
+  if (block.type === "list") return listToBlocks(block).map((b) => b.raw).join("\n");
+  if (block.type === "heading") {
+    const style = resolveHeadingStyle(block.level, options.headingStyles, true);
+    if (!style.raw) return style.prefix + rawInline(headingInline(block, style));
+  }
+  return block.raw;
+}
+
+/**
+ * @param {{ children: object[] }} ast
+ * @returns {string}
+ */
+export function renderPlain(ast) {
+  let out = "";
+  ast.children.forEach((block, i) => {
+    if (i > 0) out += blockSeparator(block);
+    out += renderPlainBlock(block);
+  });
+  return out;
+}
+
+function hasLinks(nodes) {
+  return nodes.some((n) => n.type === "link" || (n.children !== undefined && hasLinks(n.children)));
+}
+
+function listHasLinks(list) {
+  return list.items.some((item) => hasLinks(item.children) || (item.list !== undefined && listHasLinks(item.list)));
+}
+
+function blockHasLinks(block) {
+  if (block.type === "blockquote") return block.children.some(blockHasLinks);
+  if (block.type === "list") return listHasLinks(block);
+  if (block.type === "table") return [block.header, ...block.rows].some((cells) => cells.some((c) => hasLinks(c.children)));
+  return block.children !== undefined && hasLinks(block.children);
+}
+
+// Markdown source back out, with every link covered by a text_link entity so the chunker
+// keeps it whole; with linkStyle "references" a link becomes "label [n]" (just "label" if
+// its scheme isn't allowed).
+function appendPlainInline(out, nodes, options) {
+  for (const node of nodes) {
+    if (node.type === "link") {
+      const offset = out.text.length;
+      const asReference = options.linkStyle === "references" && !node.autolink;
+      const reference = asReference && isAllowedUrl(node.url, options.linkSchemes) ? options.reference(node.url) : undefined;
+      if (reference !== undefined) out.text += `${rawInline(node.children)} [${reference}]`;
+      else out.text += asReference ? rawInline(node.children) : node.raw;
+      out.entities.push({ type: "text_link", offset, length: out.text.length - offset, url: node.url, reference });
+    } else if (node.children !== undefined && hasLinks(node.children)) {
+      // Emphasis around a link: its delimiters are what the raw has beyond the children
+      const k = (node.raw.length - rawInline(node.children).length) / 2;
+      out.text += node.raw.slice(0, k);
+      appendPlainInline(out, node.children, options);
+      out.text += node.raw.slice(node.raw.length - k);
+    } else {
+      out.text += node.raw;
+    }
+  }
+}
+
+// Prefix every line, moving entity offsets along
+function prefixLines({ text, entities }, prefix) {
+  const shift = (pos) => pos + prefix.length * (text.slice(0, pos).split("\n").length);
+  return {
+    text: text.replace(/^/gm, prefix),
+    entities: entities.map((e) => {
+      const offset = shift(e.offset);
+      return { ...e, offset, length: shift(e.offset + e.length) - offset };
+    }),
+  };
+}
+
+function renderPlainRich(block, options) {
+  const out = { text: "", entities: [] };
+  if (block.type === "blockquote") {
+    block.children.forEach((child, i) => {
+      if (i > 0) out.text += blockSeparator(child);
+      const inner = renderPlainRich(child, options);
+      for (const e of inner.entities) out.entities.push({ ...e, offset: e.offset + out.text.length });
+      out.text += inner.text;
+    });
+    return prefixLines(out, "> ");
+  }
+  if (block.type === "table" || block.type === "list") {
+    const lines = block.type === "table" ? tableToBulletLines(block) : listToBlocks(block).map((b) => b.children);
+    lines.forEach((line, i) => {
+      if (i > 0) out.text += "\n";
+      appendPlainInline(out, line, options);
+    });
+    return out;
+  }
+  if (block.children === undefined || !hasLinks(block.children)) {
+    return { text: renderPlainBlock(block, options), entities: [] };
+  }
+  if (block.type === "heading") {
+    const style = resolveHeadingStyle(block.level, options.headingStyles, true);
+    if (!style.raw) {
+      out.text = style.prefix;
+      appendPlainInline(out, headingInline(block, style), options);
+      return out;
+    }
+  }
+  // Paragraph or heading: keep whatever the raw has around the inline content ("## ")
+  const inner = rawInline(block.children);
+  const at = Math.max(0, block.raw.indexOf(inner));
+  out.text = block.raw.slice(0, at);
+  appendPlainInline(out, block.children, options);
+  out.text += block.raw.slice(at + inner.length);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Entities
+
+/**
+ * Formatting each call can switch off (option `features`). Switched-off inline formatting
+ * keeps its markdown delimiters as text; a switched-off quote keeps its "> " prefixes.
+ * underline: "__text__" is underline (Telegram's own convention) instead of bold.
+ * expandableBlockquote: a number of lines; longer quotes collapse (false: never).
+ */
+export const DEFAULT_FEATURES = {
+  italic: true,
+  strikethrough: true,
+  spoiler: true,
+  underline: false,
+  blockquote: true,
+  expandableBlockquote: false,
+};
+
+// Entity type of an emphasis-like node, or null when its feature is off
+function inlineEntityType(node, features) {
+  if (node.type === "strong") return features.underline && node.raw.startsWith("__") ? "underline" : "bold";
+  if (node.type === "emphasis") return features.italic ? "italic" : null;
+  return features[node.type] ? node.type : null;
+}
+
+function createEntityBuilder(options) {
+  const active = {};
+  const out = { text: "", entities: [] };
+  return {
+    out,
+    options,
+    append(text) {
+      out.text += text;
+    },
+    // Run fn and wrap whatever it appended in an entity. Nested entities of the same
+    // type are dropped: MarkdownV2 cannot express them and they add nothing.
+    wrap(type, fn, extra) {
+      if (active[type]) return fn();
+      active[type] = true;
+      const offset = out.text.length;
+      fn();
+      active[type] = false;
+      const length = out.text.length - offset;
+      if (length > 0) out.entities.push({ type, offset, length, ...extra });
+    },
+  };
+}
+
+function appendInline(builder, nodes) {
+  for (const node of nodes) {
+    switch (node.type) {
+      case "text":
+        builder.append(node.text);
+        break;
+      case "code":
+        builder.wrap("code", () => builder.append(node.text));
+        break;
+      case "link":
+        if (isAllowedUrl(node.url, builder.options.linkSchemes)) {
+          builder.wrap("text_link", () => appendInline(builder, node.children), { url: node.url });
+        } else {
+          appendInline(builder, node.children);
+        }
+        break;
+      default: {
+        const type = inlineEntityType(node, builder.options.features);
+        if (type) {
+          builder.wrap(type, () => appendInline(builder, node.children));
+          break;
+        }
+        const k = (node.raw.length - rawInline(node.children).length) / 2;
+        builder.append(node.raw.slice(0, k));
+        appendInline(builder, node.children);
+        builder.append(node.raw.slice(node.raw.length - k));
+      }
+    }
+  }
+}
+
+function appendBlockquote(builder, block) {
+  const { features } = builder.options;
+  if (!features.blockquote) {
+    const inner = createEntityBuilder(builder.options);
+    appendBlocks(inner, block.children);
+    const quoted = prefixLines(inner.out, "> ");
+    const offset = builder.out.text.length;
+    builder.append(quoted.text);
+    for (const e of quoted.entities) builder.out.entities.push({ ...e, offset: e.offset + offset });
+    return;
+  }
+  const lines = block.raw.split("\n").length;
+  const expandable = features.expandableBlockquote !== false && lines > features.expandableBlockquote;
+  builder.wrap("blockquote", () => appendBlocks(builder, block.children), expandable ? { expandable } : undefined);
+}
+
+function appendHeading(builder, block) {
+  const style = resolveHeadingStyle(block.level, builder.options.headingStyles);
+  if (style.raw) {
+    // The hashes as written, then the content formatted as usual
+    builder.append(block.raw.slice(0, Math.max(0, block.raw.indexOf(rawInline(block.children)))));
+    appendInline(builder, block.children);
+    return;
+  }
+  builder.append(style.prefix);
+  const children = headingInline(block, style);
+  // bold+underline: nested wraps, outermost first
+  const wrapAll = (formats) =>
+    formats.length === 0
+      ? appendInline(builder, children)
+      : builder.wrap(formats[0], () => wrapAll(formats.slice(1)));
+  wrapAll(style.entities);
+}
+
+function appendBlocks(builder, blocks) {
+  blocks.forEach((block, i) => {
+    if (i > 0) builder.append(blockSeparator(block));
+    switch (block.type) {
+      case "heading":
+        appendHeading(builder, block);
+        break;
+      case "list":
+        appendBlocks(builder, listToBlocks(block));
+        break;
+      case "code":
+        builder.wrap("pre", () => builder.append(block.body), block.lang ? { language: block.lang } : undefined);
+        break;
+      case "blockquote":
+        appendBlockquote(builder, block);
+        break;
+      case "table":
+        tableToBulletLines(block).forEach((line, j) => {
+          if (j > 0) builder.append("\n");
+          appendInline(builder, line);
+        });
+        break;
+      default:
+        appendInline(builder, block.children);
+    }
+  });
+}
+
+function renderBlocksToEntities(blocks, options) {
+  const builder = createEntityBuilder({ ...options, features: { ...DEFAULT_FEATURES, ...options.features } });
+  appendBlocks(builder, blocks);
+  // Quotes are built as "blockquote" so nested ones collapse into one; the API type differs
+  builder.out.entities = builder.out.entities.map(({ expandable, ...e }) =>
+    expandable ? { ...e, type: "expandable_blockquote" } : e,
+  );
+  builder.out.entities.sort(compareEntities);
+  return builder.out;
+}
+
+/**
+ * @param {{ children: object[] }} ast
+ * @param {{ linkSchemes?: string[], features?: object }} [options]
+ * @returns {{ text: string, entities: object[] }}
+ */
+export function renderEntities(ast, options = {}) {
+  return renderBlocksToEntities(ast.children, options);
+}
+
+/**
+ * Render a single top-level block as text + entities (the unit the chunker packs).
+ * @param {object} block
+ * @param {{ linkSchemes?: string[], features?: object }} [options]
+ * @returns {{ text: string, entities: object[] }}
+ */
+export function renderBlockEntities(block, options = {}) {
+  return renderBlocksToEntities([block], options);
+}
+
+/**
+ * Render a single top-level block as plain markdown, in the same shape as renderBlockEntities.
+ * Its entities only mark links (text_link, with `reference` in "references" style); they
+ * are never sent, but keep links whole when chunking and feed appendReferences.
+ * @param {object} block
+ * @param {{ linkStyle?: 'inline'|'references', linkSchemes?: string[], reference?: (url: string) => number }} [options]
+ * @returns {{ text: string, entities: object[] }}
+ */
+export function renderBlockPlain(block, options = {}) {
+  if (!blockHasLinks(block)) return { text: renderPlainBlock(block, options), entities: [] };
+  return renderPlainRich(block, options);
+}
+
+// ---------------------------------------------------------------------------
+// Entity serialization. Walks the text once, opening and closing markup at entity
+// boundaries; `markup` supplies open/close strings and text escaping per format. Each gets
+// the stack of entities open around it.
+
+// How far inside the others an entity goes when they cover the same range: quotes hold
+// everything, and Telegram allows nothing inside code
+const NESTING_RANK = { blockquote: 0, expandable_blockquote: 0, code: 2, pre: 2 };
+
+// Outer entities first: by offset, then longer first, then by NESTING_RANK on equal ranges
+// (heading bold around inline code, a link whose label is code)
+function compareEntities(a, b) {
+  return a.offset - b.offset || b.length - a.length || (NESTING_RANK[a.type] ?? 1) - (NESTING_RANK[b.type] ?? 1);
+}
+
+function serializeEntities(text, entities, markup) {
+  const sorted = [...entities].sort(compareEntities);
+  const boundaries = new Set([0, text.length]);
+  for (const e of sorted) {
+    boundaries.add(e.offset);
+    boundaries.add(e.offset + e.length);
+  }
+  const points = [...boundaries].sort((a, b) => a - b);
+
+  let out = "";
+  const stack = [];
+  let next = 0;
+  // The entity whose markup went out last, while no text has followed it
+  let last = null;
+  const emit = (e, piece) => {
+    if (piece === "") return;
+    if (last && markup.separator) out += markup.separator(last, e);
+    out += piece;
+    last = e;
+  };
+  for (let p = 0; p < points.length; p++) {
+    const pos = points[p];
+    // Close everything ending here. If a still-open entity sits above one that ends
+    // (overlap rather than nesting), close it too and reopen it afterwards.
+    const reopen = [];
+    while (stack.some((e) => e.offset + e.length <= pos)) {
+      const top = stack.pop();
+      emit(top, markup.close(top, stack));
+      if (top.offset + top.length > pos) reopen.unshift(top);
+    }
+    for (const e of reopen) {
+      emit(e, markup.open(e, stack));
+      stack.push(e);
+    }
+    while (next < sorted.length && sorted[next].offset === pos) {
+      emit(sorted[next], markup.open(sorted[next], stack));
+      stack.push(sorted[next]);
+      next++;
+    }
+    if (p + 1 < points.length) {
+      out += markup.text(text.slice(pos, points[p + 1]), stack);
+      last = null;
+    }
+  }
+  return out;
+}
+
+const HTML_TAGS = {
+  bold: "b",
+  italic: "i",
+  underline: "u",
+  strikethrough: "s",
+  spoiler: "tg-spoiler",
+  code: "code",
+  blockquote: "blockquote",
+};
+
+const htmlMarkup = {
+  open(e) {
+    if (e.type === "pre") {
+      return e.language ? `<pre><code class="language-${escapeHtmlAttribute(e.language)}">` : "<pre><code>";
+    }
+    if (e.type === "text_link") return `<a href="${escapeHtmlAttribute(e.url)}">`;
+    if (e.type === "expandable_blockquote") return "<blockquote expandable>";
+    return HTML_TAGS[e.type] ? `<${HTML_TAGS[e.type]}>` : "";
+  },
+  close(e) {
+    if (e.type === "pre") return "</code></pre>";
+    if (e.type === "text_link") return "</a>";
+    if (e.type === "expandable_blockquote") return "</blockquote>";
+    return HTML_TAGS[e.type] ? `</${HTML_TAGS[e.type]}>` : "";
+  },
+  text: (text) => escapeHtml(text),
+};
+
+/**
+ * @param {string} text
+ * @param {object[]} entities
+ * @returns {string} Telegram HTML (parse_mode "HTML")
+ */
+export function entitiesToHtml(text, entities) {
+  return serializeEntities(text, entities, htmlMarkup);
+}
+
+// The character references Telegram's HTML parser accepts: all numeric ones, four named ones
+const HTML_CHARACTER_REFERENCE_RE = /&(?:#(\d+)|#x([\da-f]+)|(lt|gt|amp|quot));/gi;
+const NAMED_REFERENCES = { lt: "<", gt: ">", amp: "&", quot: '"' };
+
+function decodeHtml(text) {
+  return text.replace(HTML_CHARACTER_REFERENCE_RE, (ref, dec, hex, name) => {
+    if (name) return NAMED_REFERENCES[name.toLowerCase()];
+    const code = dec !== undefined ? Number(dec) : parseInt(hex, 16);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : ref;
+  });
+}
+
+function stripTags(html) {
+  return html.replace(/<[^<>]*>/g, "");
+}
+
+/**
+ * Downgrade Telegram HTML to the text it displays: tags stripped, character references
+ * decoded. A link's URL follows its label in parentheses, unless the label is the URL.
+ * @param {string} html
+ * @param {{ linkUrls?: boolean }} [options] - linkUrls false: labels only, exactly the text Telegram shows
+ * @returns {string}
+ */
+export function htmlToPlain(html, { linkUrls = true } = {}) {
+  const withUrls = !linkUrls
+    ? String(html)
+    : String(html).replace(/<a\s[^<>]*?href\s*=\s*(["'])(.*?)\1[^<>]*>([\s\S]*?)<\/a>/gi, (_, quote, href, label) => {
+        const url = decodeHtml(href);
+        return decodeHtml(stripTags(label)) === url ? label : `${label} (${escapeHtml(url)})`;
+      });
+  return decodeHtml(stripTags(withUrls));
+}
+
+/**
+ * Downgrade Telegram MarkdownV2 to the text it displays: escapes resolved; markers, link URLs,
+ * quote prefixes and code fences (with their language) dropped. Every special character that
+ * isn't escaped is markup, as the parse mode requires.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownV2ToPlain(markdown) {
+  const src = String(markdown);
+  let out = "";
+  let code = null; // "`" or "```" while inside code
+  let quoted = false; // the current line started with ">"
+  let preQuoted = false; // the open code block's lines carry ">"
+  let lineStart = true;
+  let i = 0;
+  while (i < src.length) {
+    if (lineStart) {
+      lineStart = false;
+      const prefix = src.startsWith("**>", i) ? 3 : src[i] === ">" ? 1 : 0;
+      if (prefix > 0 && (code !== "```" || preQuoted)) {
+        quoted = true;
+        i += prefix;
+        continue;
+      }
+    }
+    const ch = src[i];
+    if (ch === "\\" && i + 1 < src.length) {
+      out += src[i + 1];
+      i += 2;
+    } else if (ch === "\r") {
+      i++;
+    } else if (ch === "\n") {
+      out += ch;
+      quoted = false;
+      lineStart = true;
+      i++;
+    } else if (code === "```") {
+      // The newline before the closing fence is part of the fence
+      if (src.startsWith("```", i)) {
+        if (out.endsWith("\n")) out = out.slice(0, -1);
+        code = null;
+        i += 3;
+      } else {
+        out += ch;
+        i++;
+      }
+    } else if (code === "`") {
+      if (ch === "`") code = null;
+      else out += ch;
+      i++;
+    } else if (src.startsWith("```", i)) {
+      // The opening fence runs to the end of its line (the language)
+      code = "```";
+      preQuoted = quoted;
+      const end = src.indexOf("\n", i);
+      i = end === -1 ? src.length : end + 1;
+      lineStart = true;
+      quoted = false;
+    } else if (ch === "`") {
+      code = "`";
+      i++;
+    } else if (ch === "]" && src[i + 1] === "(") {
+      // A link's URL: up to the first unescaped ")"
+      i += 2;
+      while (i < src.length && src[i] !== ")") i += src[i] === "\\" ? 2 : 1;
+      i++;
+    } else if ("*_~|[]".includes(ch) || (ch === "!" && src[i + 1] === "[")) {
+      i++;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return out;
+}
+
+const MARKDOWN_V2_MARKERS = {
+  bold: "*",
+  italic: "_",
+  underline: "__",
+  strikethrough: "~",
+  spoiler: "||",
+  code: "`",
+};
+
+const UNDERSCORE_MARKERS = ["italic", "underline"];
+
+const isQuote = (e) => e.type === "blockquote" || e.type === "expandable_blockquote";
+
+// Every line of a quote carries its own ">", the lines of a code block's fences included
+const quoteLines = (markup, stack) => (stack.some(isQuote) ? markup.replace(/\n/g, "\n>") : markup);
+
+// A fence's language can't be escaped: one that isn't a plain name is left out
+const FENCE_LANGUAGE = /^[\w+#.-]+$/;
+
+const markdownV2Markup = {
+  open(e, stack) {
+    if (e.type === "pre") {
+      const language = FENCE_LANGUAGE.test(e.language ?? "") ? e.language : "";
+      return quoteLines("```" + language + "\n", stack);
+    }
+    if (e.type === "text_link") return "[";
+    if (e.type === "blockquote") return ">";
+    if (e.type === "expandable_blockquote") return "**>";
+    return MARKDOWN_V2_MARKERS[e.type] ?? "";
+  },
+  close(e, stack) {
+    if (e.type === "pre") return quoteLines("\n```", stack);
+    if (e.type === "text_link") return `](${escapeMarkdownV2Url(e.url)})`;
+    if (e.type === "blockquote") return "";
+    if (e.type === "expandable_blockquote") return "||";
+    return MARKDOWN_V2_MARKERS[e.type] ?? "";
+  },
+  // "___" is ambiguous (Telegram reads "__" first): an italic and an underline marker that meet
+  // are kept apart with "\r", which Telegram ignores
+  separator: (a, b) => (UNDERSCORE_MARKERS.includes(a.type) && UNDERSCORE_MARKERS.includes(b.type) ? "\r" : ""),
+  text(text, stack) {
+    const inCode = stack.some((e) => e.type === "code" || e.type === "pre");
+    return quoteLines(inCode ? escapeMarkdownV2Code(text) : escapeMarkdownV2(text), stack);
+  },
+};
+
+/**
+ * @param {string} text
+ * @param {object[]} entities
+ * @returns {string} Telegram MarkdownV2 (parse_mode "MarkdownV2")
+ */
+export function entitiesToMarkdownV2(text, entities) {
+  return serializeEntities(text, entities, markdownV2Markup);
+}
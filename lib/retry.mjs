@@ -0,0 +1,62 @@
+/**
+ * Retry policy for Bot API calls (TelegramProxy option retry).
+ *
+ *   - 429 Too Many Requests: wait as long as the response's retry_after says
+ *   - 5xx and network errors (no HTTP status): exponential backoff from baseDelayMs
+ *   - any other 4xx (400 Bad Request, 403 Forbidden, …): not retried, the request itself
+ *     is what's wrong
+ *
+ * Errors are read the way the common clients report them: node-telegram-bot-api
+ * (err.response.body), grammY (err.error_code, err.parameters) and Telegraf (err.response).
+ */
+
+export const DEFAULT_RETRY = { retries: 3, baseDelayMs: 500, maxDelayMs: 30_000 };
+
+// Errors thrown before any HTTP response arrived
+const NETWORK_ERROR_CODES = ["EFATAL", "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "ENOTFOUND"];
+const NETWORK_ERROR_NAMES = ["HttpError", "FetchError", "AbortError"];
+
+/**
+ * HTTP status, retry_after (seconds) and description of a failed Bot API call, where the
+ * error has them.
+ * @param {unknown} err
+ * @returns {{ status?: number, retryAfter?: number, description: string }}
+ */
+export function apiErrorInfo(err) {
+  const body = err?.response?.body ?? err?.response ?? {};
+  const status = [err?.error_code, body.error_code, err?.response?.statusCode, err?.status, err?.code].find(
+    (v) => Number.isInteger(v),
+  );
+  const retryAfter = err?.parameters?.retry_after ?? body.parameters?.retry_after;
+  const description = String(err?.description ?? body.description ?? err?.message ?? err);
+  return { status, retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined, description };
+}
+
+/**
+ * Did Telegram reject the message's formatting ("Bad Request: can't parse entities: …")?
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isEntityParseError(err) {
+  const { status, description } = apiErrorInfo(err);
+  return (status === undefined || status === 400) && /can't parse entities/i.test(description);
+}
+
+function isNetworkError(err) {
+  return NETWORK_ERROR_CODES.includes(err?.code) || NETWORK_ERROR_NAMES.includes(err?.name);
+}
+
+/**
+ * How long to wait before retrying a failed call, or null when it shouldn't be retried.
+ * @param {unknown} err
+ * @param {number} attempt - Failed attempts before this one (0 for the first failure)
+ * @param {{ baseDelayMs: number, maxDelayMs: number }} [policy]
+ * @returns {number|null} Milliseconds
+ */
+export function retryDelay(err, attempt, policy = DEFAULT_RETRY) {
+  const { status, retryAfter } = apiErrorInfo(err);
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  if (status === 429) return retryAfter !== undefined ? retryAfter * 1000 : backoff;
+  if (status !== undefined) return status >= 500 ? backoff : null;
+  return isNetworkError(err) ? backoff : null;
+}
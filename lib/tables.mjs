@@ -0,0 +1,204 @@
+/**
+ * Table rendering modes (option tableStyle).
+ *
+ *   - "bullets":   one line per row, "• Header: value · Header: value" (default)
+ *   - "cards":     one block per row; the first column as a bold title, every other
+ *                  column on its own "Header: value" line
+ *   - "monospace": a grid in a code block, for narrow tables; columns follow the
+ *                  delimiter row's alignment (":--", ":-:", "--:")
+ *   - "auto":      monospace when the grid fits a phone screen, cards for wide or
+ *                  wordy tables, bullets otherwise
+ *
+ * Every style is expressed as ordinary AST blocks (paragraphs, a code block), so every
+ * output style renders them like any other block. Bullet lines and cards are one block per
+ * row, each carrying a `continuation` block ("Table (cont.) — columns: …") that the chunker
+ * puts first when the row opens a new chunk; chunks therefore only ever hold whole rows.
+ * A monospace grid that doesn't fit one chunk is split by layout (gridBlock), repeating
+ * the header in every part.
+ */
+
+export const TABLE_STYLES = ["bullets", "cards", "monospace", "auto"];
+
+// Widest grid (in monospace columns) that still fits a phone screen without wrapping
+const MONOSPACE_MAX_WIDTH = 36;
+// auto: from this many columns, or a cell this wide, rows read better as cards
+const CARDS_MIN_COLUMNS = 4;
+const CARDS_MIN_CELL_WIDTH = 24;
+
+function textNode(text) {
+  return { type: "text", text, raw: text };
+}
+
+const EMPTY_CELL = "—";
+
+// Label for cell i, if the header has a non-empty one. Rows with more or fewer cells than
+// the header keep the labels they have instead of dropping all of them.
+function headerFor(table, i) {
+  const cell = table.header[i];
+  return cell && cell.raw !== "" ? cell.children : null;
+}
+
+function cellNodes(cell) {
+  return cell.raw === "" ? [textNode(EMPTY_CELL)] : cell.children;
+}
+
+/**
+ * Rows as lists of inline nodes: "• Header: value · Header: value".
+ * @param {object} table - Table block
+ * @returns {object[][]}
+ */
+export function tableToBulletLines(table) {
+  return table.rows.map((cells) => {
+    const parts = [textNode("• ")];
+    cells.forEach((cell, i) => {
+      if (i > 0) parts.push(textNode(" · "));
+      const header = headerFor(table, i);
+      if (header) parts.push(...header, textNode(": "));
+      parts.push(...cellNodes(cell));
+    });
+    return parts;
+  });
+}
+
+// Text of inline nodes without their markup (links keep their label)
+function inlineText(nodes) {
+  return nodes.map((n) => (n.children ? inlineText(n.children) : n.text)).join("");
+}
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+// East Asian Wide and Fullwidth ranges (Hangul Jamo, CJK, Hiragana/Katakana, Hangul, fullwidth forms)
+const WIDE_RE =
+  /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}]/u;
+const EMOJI_RE = /\p{Emoji_Presentation}|\uFE0F|\p{Regional_Indicator}/u;
+const ZERO_WIDTH_RE = /^[\p{Mn}\p{Me}\p{Cf}]+$/u;
+
+/**
+ * Columns a string takes in a monospace font: CJK and emoji take two, combining marks
+ * and format characters none.
+ * @param {string} text
+ * @returns {number}
+ */
+export function displayWidth(text) {
+  let width = 0;
+  for (const { segment } of graphemes.segment(text)) {
+    if (ZERO_WIDTH_RE.test(segment)) continue;
+    width += WIDE_RE.test(segment) || EMOJI_RE.test(segment) ? 2 : 1;
+  }
+  return width;
+}
+
+function pad(text, width, align) {
+  const space = Math.max(0, width - displayWidth(text));
+  if (align === "right") return " ".repeat(space) + text;
+  if (align === "center") return " ".repeat(Math.floor(space / 2)) + text + " ".repeat(Math.ceil(space / 2));
+  return text + " ".repeat(space);
+}
+
+// Header and rows as plain strings, every row padded to the same number of columns
+function textGrid(table) {
+  const columns = Math.max(table.header.length, ...table.rows.map((r) => r.length));
+  const row = (cells, empty) =>
+    Array.from({ length: columns }, (_, i) => (cells[i] && cells[i].raw !== "" ? inlineText(cells[i].children).trim() : empty));
+  return { header: row(table.header, ""), rows: table.rows.map((cells) => row(cells, EMPTY_CELL)) };
+}
+
+function gridWidth(table) {
+  const { header, rows } = textGrid(table);
+  const widths = header.map((_, i) => Math.max(...[header, ...rows].map((r) => displayWidth(r[i]))));
+  return widths.reduce((sum, w) => sum + w, 0) + 3 * (widths.length - 1);
+}
+
+/**
+ * The monospace grid for some of a table's rows, as a code block. Column widths come from
+ * the whole table so the parts of a split grid line up.
+ * @param {object} table - Table block
+ * @param {object[][]} [rows=table.rows]
+ * @returns {object} Code block; `grid` points back at the table
+ */
+export function gridBlock(table, rows = table.rows) {
+  const all = textGrid(table);
+  const part = textGrid({ ...table, rows });
+  const widths = all.header.map((_, i) => Math.max(1, ...[all.header, ...all.rows].map((r) => displayWidth(r[i]))));
+  const line = (cells) => cells.map((c, i) => pad(c, widths[i], table.align?.[i])).join(" | ").trimEnd();
+  const body = [line(part.header), widths.map((w) => "-".repeat(w)).join("-+-"), ...part.rows.map(line)].join("\n");
+  // A fence longer than any backtick run in the cells, so plain output stays one block
+  const longestRun = Math.max(0, ...(body.match(/`+/g) ?? []).map((run) => run.length));
+  const fence = "`".repeat(Math.max(3, longestRun + 1));
+  return {
+    type: "code",
+    lang: "",
+    info: "",
+    body,
+    fence,
+    closed: true,
+    raw: `${fence}\n${body}\n${fence}`,
+    spaced: table.spaced,
+    grid: table,
+  };
+}
+
+function rawInline(nodes) {
+  return nodes.map((n) => n.raw).join("");
+}
+
+function paragraph(children, spaced) {
+  return { type: "paragraph", children, raw: rawInline(children), spaced };
+}
+
+// "Table (cont.) — columns: A, B, C", put before a row that opens a new chunk
+function continuationBlock(table) {
+  const names = textGrid(table).header.filter((h) => h !== "");
+  return paragraph([textNode(names.length > 0 ? `Table (cont.) — columns: ${names.join(", ")}` : "Table (cont.)")], false);
+}
+
+function bulletBlocks(table) {
+  const continuation = continuationBlock(table);
+  return tableToBulletLines(table).map((line, r) =>
+    r === 0 ? paragraph(line, table.spaced) : { ...paragraph(line, false), continuation },
+  );
+}
+
+function cardBlocks(table) {
+  const continuation = continuationBlock(table);
+  return table.rows.map((cells, r) => {
+    const title = cellNodes(cells[0] ?? { raw: "" });
+    const alreadyStrong = title.length === 1 && title[0].type === "strong";
+    const children = alreadyStrong ? [...title] : [{ type: "strong", children: title, raw: `**${rawInline(title)}**` }];
+    cells.slice(1).forEach((cell, j) => {
+      const header = headerFor(table, j + 1);
+      children.push(textNode("\n"));
+      if (header) children.push(...header, textNode(": "));
+      children.push(...cellNodes(cell));
+    });
+    return r === 0 ? paragraph(children, table.spaced) : { ...paragraph(children, true), continuation };
+  });
+}
+
+function autoStyle(table) {
+  if (gridWidth(table) <= MONOSPACE_MAX_WIDTH) return "monospace";
+  const { header, rows } = textGrid(table);
+  const widest = Math.max(...[header, ...rows].flat().map(displayWidth));
+  return header.length >= CARDS_MIN_COLUMNS || widest >= CARDS_MIN_CELL_WIDTH ? "cards" : "bullets";
+}
+
+/**
+ * Rewrite a table block in the given style.
+ * @param {object} table - Table block
+ * @param {'bullets'|'cards'|'monospace'|'auto'} [style='bullets']
+ * @param {object} [options]
+ * @param {number} [options.maxRows] - Render at most this many rows, then "…and N more rows"
+ * @returns {object[]} Blocks to render in its place
+ */
+export function tableToBlocks(table, style = "bullets", { maxRows = Infinity } = {}) {
+  if (table.rows.length === 0) return [table];
+  const hidden = Math.max(0, table.rows.length - maxRows);
+  const shown = hidden > 0 ? { ...table, rows: table.rows.slice(0, maxRows) } : table;
+  const resolved = style === "auto" ? autoStyle(shown) : style;
+  const blocks =
+    resolved === "monospace" ? [gridBlock(shown)] : resolved === "cards" ? cardBlocks(shown) : bulletBlocks(shown);
+  if (hidden > 0) {
+    const footer = `…and ${hidden} more row${hidden === 1 ? "" : "s"}`;
+    blocks.push(paragraph([textNode(footer)], resolved === "cards"));
+  }
+  return blocks;
+}
@@ -0,0 +1,90 @@
+/**
+ * OpenClaw adapter: runs the Telegram messages an OpenClaw bot sends through TelegramProxy.
+ *
+ * OpenClaw sends every reply with bot.sendMessage(chatId, text, opts), opts.channel naming the
+ * channel. integrateTelegramPreprocessor(bot) replaces that method: a message for the Telegram
+ * channel is preprocessed (tables → bullets, metadata removed, safe split) and its chunks sent
+ * one after another through the original method, never the replaced one; messages for other
+ * channels go to the original method as they are.
+ *
+ * Usage:
+ *   import { loadConfig } from "telegram-preprocessor/config";
+ *   import { integrateTelegramPreprocessor } from "telegram-preprocessor/openclaw";
+ *   const { restore } = integrateTelegramPreprocessor(bot, { config: await loadConfig() });
+ *   await bot.sendMessage(chatId, reply, { channel: "telegram" });  // resolves once every chunk is out
+ */
+
+import { preprocess } from "./index.mjs";
+import { TelegramProxy } from "./proxy.mjs";
+import { redactionSpec } from "./lib/redact.mjs";
+
+/** Options the adapter starts from; a config, then the options passed in code, go over them. */
+export const OPENCLAW_DEFAULTS = { style: "telegramHtml", stripMetadata: true };
+
+// The original sendMessage, on the function that replaced it
+const ORIGINAL = Symbol("telegram-preprocessor/openclaw original sendMessage");
+
+// A config with the adapter's defaults under its options, so a profile can change them as well
+function withDefaults(config) {
+  return { ...config, resolve: (select) => ({ ...OPENCLAW_DEFAULTS, ...config.resolve(select) }) };
+}
+
+/**
+ * Preprocess one message the way the adapter sends it, without sending it.
+ * @param {string} message
+ * @param {object} [options] - Preprocessor options, plus:
+ * @param {boolean|RegExp} [options.stripMetadata=true] - As for TelegramProxy
+ * @param {object} [options.config] - A loadConfig()/createConfig() result (config.mjs): its options for
+ *   the chat or profile below sit between OPENCLAW_DEFAULTS and the options passed here
+ * @param {string|number} [options.chatId]
+ * @param {string} [options.profile]
+ * @returns {{ chunks: string[], parseMode?: string, entities?: object[][], redactions?: object[] }}
+ */
+export function preprocessTelegramMessage(message, options = {}) {
+  const { config, chatId, profile, channel, ...own } = options;
+  const { stripMetadata, redact, ...rest } = { ...OPENCLAW_DEFAULTS, ...config?.resolve({ chatId, profile }), ...own };
+  const spec = redactionSpec({ stripMetadata, redact });
+  return preprocess(message, { ...rest, redact: spec.length > 0 ? spec : undefined });
+}
+
+/**
+ * Route a bot's Telegram messages through a TelegramProxy. bot.sendMessage is replaced; for a
+ * message whose opts.channel is `channel` it resolves to the proxy's SendResult once every chunk
+ * has been sent, and rejects with the error of a chunk that couldn't be (see
+ * TelegramProxy#sendMessage). The chunks keep opts, channel included.
+ * @param {object} bot - Has sendMessage(chatId, text, opts); its other methods serve the proxy
+ *   (editMessageText, sendDocument, …)
+ * @param {object} [options] - TelegramProxy options over OPENCLAW_DEFAULTS (style, stripMetadata,
+ *   config, profile, recipientPolicy, rateLimit, …), plus:
+ * @param {string} [options.channel='telegram'] - The channel whose messages are preprocessed
+ * @returns {{ proxy: TelegramProxy, restore: () => void }} restore() puts the original sendMessage back
+ */
+export function integrateTelegramPreprocessor(bot, options = {}) {
+  if (typeof bot?.sendMessage !== "function") throw new Error("integrateTelegramPreprocessor: bot has no sendMessage");
+  if (bot.sendMessage[ORIGINAL]) throw new Error("integrateTelegramPreprocessor: bot.sendMessage is already integrated");
+  const { channel = "telegram", ...proxyOptions } = options;
+  const original = bot.sendMessage;
+  const send = original.bind(bot);
+
+  // The bot as the proxy sees it: the original sendMessage, everything else as it is
+  const client = new Proxy(bot, {
+    get: (target, prop) => (prop === "sendMessage" ? send : Reflect.get(target, prop)),
+  });
+  const { config } = proxyOptions;
+  const proxy = new TelegramProxy(
+    client,
+    config ? { ...proxyOptions, config: withDefaults(config) } : { ...OPENCLAW_DEFAULTS, ...proxyOptions },
+  );
+
+  const sendMessage = async function (chatId, message, opts) {
+    if (opts?.channel !== channel) return send(chatId, message, opts);
+    return proxy.sendMessage(chatId, message, opts);
+  };
+  sendMessage[ORIGINAL] = original;
+  bot.sendMessage = sendMessage;
+
+  const restore = () => {
+    if (bot.sendMessage === sendMessage) bot.sendMessage = original;
+  };
+  return { proxy, restore };
+}
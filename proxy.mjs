@@ -4,7 +4,9 @@
  *
  * Drop-in wrapper around any Telegram bot client that exposes:
  *   sendMessage(chatId, text, options?)
- *   sendPhoto / sendDocument / etc. (passthrough, unmodified)
+ *   sendPhoto / sendDocument / etc. (captions preprocessed, otherwise passthrough)
+ *   sendDocument(chatId, buffer, options?, fileOptions?) — node-telegram-bot-api signature,
+ *     only needed for codeBlockOverflow: "document"
  *
  * Usage:
  *   import { TelegramProxy } from "./proxy.mjs";
@@ -12,53 +14,312 @@
  *   await bot.sendMessage(chatId, longMarkdownText);  // auto-formatted + chunked
  *
  * The proxy:
- *   1. Runs the message through the preprocessor (tables → bullets, safe split)
- *   2. Sends each chunk sequentially via the underlying client
- *   3. Returns an array of API responses (one per chunk)
- *   4. Passes all other methods through untouched (photos, documents, etc.)
+ *   1. Runs the message through the preprocessor (tables → bullets, safe split);
+ *      with style "telegramEntities" each chunk is sent with `entities` instead of parse_mode
+ *   2. Sends each chunk sequentially via the underlying client, within Telegram's rate limits
+ *      (per chat and global token buckets), retrying 429s, 5xx and network errors
+ *   3. Sends oversized code blocks as files when codeBlockOverflow is "document"
+ *   4. Resends a chunk Telegram can't parse ("can't parse entities") as plain text
+ *   5. Returns a SendResult for the logical message: message_id, text and formatting per chunk,
+ *      retries, fallbacks and the raw responses; editLogical/deleteLogical act on it later
+ *   6. Preprocesses media captions (sendPhoto, sendDocument, …, editMessageCaption, sendMediaGroup);
+ *      past 1024 characters the rest of a caption follows as text messages
+ *   7. Passes all other methods through untouched
+ *
+ * Options that only make sense once per message follow a chunk policy: by default the
+ * keyboard goes on the last chunk, the reply reference and link preview on the first, and
+ * only the first chunk notifies.
+ *
+ * Formatting can differ per recipient: recipientPolicy picks style, redaction, tables, chunk
+ * length and chunk policy from the chat ID, chat type and the user's language.
+ *
+ * Messages to the same chat are queued (FIFO): all chunks of one message go out before the
+ * next message starts, while different chats send in parallel. flush(chatId) waits for a
+ * chat's queue to empty.
+ *
+ * Draft mode (streamed agent output): bot.draft(chatId) returns a TelegramDraft; write()
+ * text deltas into it and the message grows in place via editMessageText, rolling over to
+ * a new message when one fills up; end() gives every message its final text.
  */
 
-import { preprocess } from "./index.mjs";
+import { Buffer } from "node:buffer";
+import { randomUUID } from "node:crypto";
+import { createPreprocessor, htmlToPlain, markdownV2ToPlain } from "./index.mjs";
+import { TELEGRAM_MAX_LENGTH, telegramLength } from "./lib/chunk.mjs";
+import { RateLimiter } from "./lib/limiter.mjs";
+import { DEFAULT_RETRY, apiErrorInfo, isEntityParseError, retryDelay } from "./lib/retry.mjs";
+import { redactionSpec, resolveRedactionRules } from "./lib/redact.mjs";
 
-/** Default regex to strip common metadata from chunks (message_id, sender_id, timestamp). */
-const DEFAULT_METADATA_RE =
-  /\b(?:message_id|sender_id|timestamp):\s*[^\s]+\b/gi;
+export { RateLimiter };
 
 /**
- * Strip metadata patterns from text. Optionally use a custom regex.
- * @param {string} text
- * @param {boolean|RegExp} stripMetadata - true = use default regex; RegExp = use this; false = no strip
- * @returns {string}
+ * Message options for preprocessed chunks: parse_mode from the preprocessor unless the caller
+ * set one. Entities replace parse_mode entirely; a caller's own parse_mode or entities win.
+ * @returns {{ baseOptions: object, useEntities: boolean }}
  */
-function stripMetadataFromText(text, stripMetadata) {
-  if (!stripMetadata || typeof text !== "string") return text;
-  const re = stripMetadata === true ? new RegExp(DEFAULT_METADATA_RE.source, "gi") : stripMetadata;
-  return text.replace(re, "").replace(/\n{2,}/g, "\n\n").trim();
+function messageOptions(options, parseMode, entityStyle) {
+  const baseOptions = { ...options };
+  if (parseMode && !baseOptions.parse_mode) {
+    baseOptions.parse_mode = parseMode;
+  }
+  return { baseOptions, useEntities: entityStyle && !baseOptions.parse_mode && !baseOptions.entities };
+}
+
+/**
+ * Which chunks of a split message get each kind of option:
+ *   - replyMarkup:  reply_markup (a keyboard under the reply)
+ *   - replyTo:      reply_parameters, reply_to_message_id, allow_sending_without_reply
+ *   - linkPreview:  chunks that may show a link preview; the others are sent with previews off
+ *   - notification: chunks that notify; the others are sent with disable_notification
+ * Each is "first", "last", "all" or "none".
+ */
+export const DEFAULT_CHUNK_POLICY = { replyMarkup: "last", replyTo: "first", linkPreview: "first", notification: "first" };
+
+/** Where in a split message an option of the chunk policy goes. */
+export const CHUNK_POSITIONS = ["first", "last", "all", "none"];
+
+function resolveChunkPolicy(...policies) {
+  const policy = Object.assign({ ...DEFAULT_CHUNK_POLICY }, ...policies);
+  for (const [key, position] of Object.entries(policy)) {
+    if (!(key in DEFAULT_CHUNK_POLICY)) throw new Error(`TelegramProxy: unknown chunkPolicy key "${key}"`);
+    if (!CHUNK_POSITIONS.includes(position)) throw new Error(`TelegramProxy: chunkPolicy.${key} must be one of ${CHUNK_POSITIONS.join(", ")}`);
+  }
+  return policy;
+}
+
+// The caller's options as they apply to chunk i of n
+function positionOptions(options, policy, i, n) {
+  const at = (position) => position === "all" || (position === "first" && i === 0) || (position === "last" && i === n - 1);
+  const out = { ...options };
+  if (!at(policy.replyMarkup)) delete out.reply_markup;
+  if (!at(policy.replyTo)) {
+    delete out.reply_parameters;
+    delete out.reply_to_message_id;
+    delete out.allow_sending_without_reply;
+  }
+  if (!at(policy.linkPreview)) {
+    delete out.disable_web_page_preview;
+    out.link_preview_options = { is_disabled: true };
+  }
+  if (!at(policy.notification)) out.disable_notification = true;
+  return out;
+}
+
+function withEntities(baseOptions, useEntities, entities) {
+  return useEntities && entities?.length > 0 ? { ...baseOptions, entities } : baseOptions;
+}
+
+// The sendMessage options editMessageText accepts too (only inline keyboards can be edited in)
+function editMessageOptions(options) {
+  const picked = {};
+  for (const key of ["parse_mode", "entities", "link_preview_options", "disable_web_page_preview"]) {
+    if (options[key] !== undefined) picked[key] = options[key];
+  }
+  if (options.reply_markup?.inline_keyboard) picked.reply_markup = options.reply_markup;
+  return picked;
+}
+
+// Methods whose options.caption is preprocessed; node-telegram-bot-api signature
+// (chatId, file, options, fileOptions)
+const CAPTION_METHODS = ["sendPhoto", "sendDocument", "sendVideo", "sendAudio", "sendAnimation", "sendVoice"];
+
+// Chunk options as a media message takes them: entities are caption_entities, and there
+// is no link preview to set
+function captionOptions(options) {
+  const out = { ...options };
+  delete out.entities;
+  delete out.link_preview_options;
+  delete out.disable_web_page_preview;
+  if (options.entities) out.caption_entities = options.entities;
+  return out;
+}
+
+// The plain form of a chunk whose formatting Telegram rejected: HTML and MarkdownV2 downgraded
+// to the text they display, entities dropped. HTML keeps its links' URLs only while the chunk
+// still fits limit ({ maxLength, measure }, see TelegramProxy#_chunkLimit). Other parse modes: null.
+function plainForm(text, options, limit = { maxLength: TELEGRAM_MAX_LENGTH, measure: telegramLength }) {
+  const { parse_mode: parseMode, entities, ...plainOptions } = options;
+  if (parseMode === "HTML") {
+    const withUrls = htmlToPlain(text);
+    const fits = limit.measure(withUrls) <= limit.maxLength;
+    return { text: fits ? withUrls : htmlToPlain(text, { linkUrls: false }), options: plainOptions };
+  }
+  if (parseMode === "MarkdownV2") return { text: markdownV2ToPlain(text), options: plainOptions };
+  if (parseMode === undefined && entities !== undefined) return { text, options: plainOptions };
+  return null;
+}
+
+// An album item with its caption replaced by a planned chunk
+function captionItem(item, { text, options }) {
+  const out = { ...item, caption: text };
+  delete out.parse_mode;
+  if (options.parse_mode) out.parse_mode = options.parse_mode;
+  if (options.entities) out.caption_entities = options.entities;
+  return out;
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function inlineKeyboard(markup) {
+  return markup?.inline_keyboard ? markup : undefined;
+}
+
+// What a SendResult reports for a chunk, from what went out (see _formatted)
+function sentChunk({ response, messageId, text, options, retries, caption, fallback }) {
+  const chunk = {
+    message_id: messageId ?? response?.message_id,
+    text,
+    parse_mode: options.parse_mode,
+    entities: options.entities,
+    reply_markup: options.reply_markup,
+    retries,
+  };
+  if (caption) chunk.caption = true;
+  if (fallback) chunk.fallback = fallback;
+  chunk.response = response;
+  return chunk;
+}
+
+// The error of a send that failed part-way, with what was delivered before it
+function withResult(err, result) {
+  if (err && typeof err === "object") Object.assign(err, { result, responses: result.responses });
+  return err;
+}
+
+function isNotModified(err) {
+  return /message is not modified/i.test(apiErrorInfo(err).description);
+}
+
+export const QUEUE_OVERFLOW_MODES = ["reject", "dropOldest", "merge"];
+
+const DEFAULT_OPTIONS = {
+  style: "telegramPlain",
+  maxChunkLength: 4096,
+  split: true,
+  chunkDelayMs: 300,
+  draftIntervalMs: 1000,
+  maxQueueDepth: Infinity,
+  queueOverflow: "reject",
+  maxTrackedMessages: 1000,
+  maxCaptionLength: 1024,
+  enabled: true,
+  stripMetadata: false,
+};
+
+export const CHAT_TYPES = ["private", "group", "supergroup", "channel"];
+
+// Options that can differ per recipient (option recipientPolicy, config profiles mapped to chats)
+export const RECIPIENT_OPTIONS = [
+  "style",
+  "maxChunkLength",
+  "measureLength",
+  "split",
+  "codeBlockOverflow",
+  "tableStyle",
+  "maxTableRows",
+  "linkSchemes",
+  "linkStyle",
+  "features",
+  "headingStyles",
+  "redact",
+  "stripMetadata",
+  "maxCaptionLength",
+  "chunkPolicy",
+];
+
+// What a chat ID tells about the chat: users have positive IDs and basic groups negative ones;
+// supergroups and channels have "-100…" IDs (or an @username), and only Telegram knows which
+function inferChatType(chatId) {
+  const id = String(chatId);
+  if (id.startsWith("-100") || id.startsWith("@")) return "supergroup";
+  return id.startsWith("-") ? "group" : "private";
+}
+
+// Rejection for a queued message that never went out
+function queueError(message, code) {
+  return Object.assign(new Error(`TelegramProxy: ${message}`), { code });
 }
 
 export class TelegramProxy {
   /**
    * @param {object} client  - Original Telegram bot client (node-telegram-bot-api, grammY, telegraf, etc.)
    * @param {object} options - Preprocessor options
-   * @param {'telegramPlain'|'telegramHtml'} [options.style='telegramPlain']
+   * @param {'telegramPlain'|'telegramHtml'|'telegramMarkdownV2'|'telegramEntities'} [options.style='telegramPlain']
    * @param {number} [options.maxChunkLength=4096]
+   * @param {(text: string) => number} [options.measureLength] - Length function for maxChunkLength (default: UTF-16 units)
    * @param {boolean} [options.split=true]
+   * @param {'split'|'document'|'truncate'} [options.codeBlockOverflow] - Handling of code blocks longer than one chunk
+   * @param {'bullets'|'cards'|'monospace'|'auto'} [options.tableStyle='bullets'] - How markdown tables are rendered
+   * @param {number} [options.maxTableRows] - Rows rendered per table before "…and N more rows"
+   * @param {string[]} [options.linkSchemes] - URL schemes allowed to become links (default http, https, tg)
+   * @param {'inline'|'references'} [options.linkStyle='inline'] - telegramPlain: links as "label [1]" + reference list
+   * @param {Record<number, string>} [options.headingStyles] - Heading style per level, e.g. { 1: "bold+underline" }
+   * @param {object} [options.features] - Formatting switches (italic, strikethrough, spoiler, underline, blockquote, expandableBlockquote)
    * @param {number} [options.chunkDelayMs=300]  - Delay between chunks (ms) to avoid flood limits
+   * @param {number} [options.draftIntervalMs=1000] - Drafts: at most one live update per chat per interval
+   * @param {object|false} [options.retry] - { retries: 3, baseDelayMs: 500, maxDelayMs: 30000 }, or false
+   * @param {object|RateLimiter|false} [options.rateLimit] - { perChat: 1, global: 30 } calls per second,
+   *   a RateLimiter shared with other proxies for the same bot, or false
+   * @param {object} [options.chunkPolicy] - Which chunks get reply_markup, the reply reference, link
+   *   previews and notifications; merged over DEFAULT_CHUNK_POLICY
+   * @param {number} [options.maxQueueDepth=Infinity] - Messages waiting per chat (not counting the one being sent)
+   * @param {'reject'|'dropOldest'|'merge'} [options.queueOverflow='reject'] - When a chat's queue is full:
+   *   reject the new message, drop the oldest waiting one, or append the new text to the newest waiting one
+   * @param {number} [options.maxTrackedMessages=1000] - Logical messages remembered for editLogical/deleteLogical
+   * @param {number} [options.maxCaptionLength=1024] - Media captions: longer ones keep their first part,
+   *   the rest is sent as text messages after the media
    * @param {boolean} [options.enabled=true]     - Set false to disable preprocessing (passthrough mode)
-   * @param {boolean|RegExp} [options.stripMetadata=false] - Strip message_id/sender_id/timestamp (true = default regex, or pass RegExp)
+   * @param {boolean|Array<string|object>} [options.redact] - Redaction packs and rules, applied before preprocessing
+   *   (see lib/redact.mjs); what was redacted is listed in each SendResult
+   * @param {boolean|RegExp} [options.stripMetadata=false] - Remove message_id/sender_id/timestamp (true: the
+   *   internalIds redaction pack), or matches of a RegExp; not inside code
+   * @param {object} [options.preprocessor] - A createPreprocessor() result, to run stages of your own
+   *   (default: the stages of preprocess())
+   * @param {object} [options.config] - A loadConfig()/createConfig() result (config.mjs): its options, for
+   *   the profile below, sit under the ones passed here; a chat it maps to another profile gets that
+   *   profile's formatting (style, tables, chunk length, redaction, …)
+   * @param {string} [options.profile] - Config profile for chats the config doesn't map
+   * @param {(recipient: { chatId: string|number, chatType: string, languageCode?: string, userId?: number }) => object|undefined}
+   *   [options.recipientPolicy] - Options for one recipient (any of RECIPIENT_OPTIONS: style, redaction, tables,
+   *   chunk length, chunkPolicy for notifications, …), over the proxy's. chatType is "private", "group",
+   *   "supergroup" or "channel": as passed with the message, else inferred from the chat ID (channels pass it)
    */
   constructor(client, options = {}) {
     if (!client) throw new Error("TelegramProxy: client is required");
     this._client = client;
-    this._options = {
-      style: "telegramPlain",
-      maxChunkLength: 4096,
-      split: true,
-      chunkDelayMs: 300,
-      enabled: true,
-      stripMetadata: false,
-      ...options,
-    };
+    const { config, profile } = options;
+    this._ownOptions = options;
+    this._options = { ...DEFAULT_OPTIONS, ...config?.resolve({ profile }), ...options };
+    // chatId → time of the last live draft update, shared by the drafts of a chat
+    this._draftUpdates = new Map();
+    const { retry, rateLimit } = this._options;
+    this._retry = retry === false ? { ...DEFAULT_RETRY, retries: 0 } : { ...DEFAULT_RETRY, ...retry };
+    this._limiter = rateLimit === false ? null : rateLimit instanceof RateLimiter ? rateLimit : new RateLimiter(rateLimit);
+    const { maxQueueDepth, queueOverflow } = this._options;
+    if (!(maxQueueDepth === Infinity || (Number.isInteger(maxQueueDepth) && maxQueueDepth > 0))) {
+      throw new Error(`TelegramProxy: maxQueueDepth must be a positive integer, got ${maxQueueDepth}`);
+    }
+    if (!QUEUE_OVERFLOW_MODES.includes(queueOverflow)) {
+      throw new Error(`TelegramProxy: unknown queueOverflow "${queueOverflow}"`);
+    }
+    this._chunkPolicy = resolveChunkPolicy(this._options.chunkPolicy);
+    this._redact = redactionSpec(this._options);
+    resolveRedactionRules(this._redact);
+    // Config profile → { options, redact } for chats mapped to a profile of their own
+    this._profile = config?.profileFor({ profile });
+    const format = { options: this._options, redact: this._redact, chunkPolicy: this._chunkPolicy };
+    this._chatFormats = new Map([[this._profile, format]]);
+    const { recipientPolicy } = this._options;
+    if (recipientPolicy !== undefined && typeof recipientPolicy !== "function") {
+      throw new Error("TelegramProxy: recipientPolicy must be a function");
+    }
+    this._preprocessor = this._options.preprocessor ?? createPreprocessor();
+    // chatId → { waiting: jobs, idle: flush() resolvers, sending }; present while the chat has work
+    this._queues = new Map();
+    // Logical message ID → what was sent for it, oldest first
+    this._logical = new Map();
 
     // Proxy: forward all properties/methods to the underlying client
     // unless we explicitly override them here.
@@ -66,54 +327,605 @@ export class TelegramProxy {
       get(target, prop) {
         if (prop in target) return target[prop];
         const val = target._client[prop];
+        if (CAPTION_METHODS.includes(prop) && typeof val === "function") {
+          return (chatId, file, options, ...fileOptions) => target._sendCaptioned(prop, chatId, file, options, fileOptions);
+        }
         return typeof val === "function" ? val.bind(target._client) : val;
       },
     });
   }
 
   /**
-   * Intercept sendMessage, preprocess the text, send chunks sequentially.
+   * Intercept sendMessage, preprocess the text, send chunks sequentially. The message waits
+   * its turn in the chat's queue.
    * @param {string|number} chatId
    * @param {string} text
-   * @param {object} [options]  - Telegram API options (reply_markup, etc.)
-   * @returns {Promise<object[]>} Array of API responses, one per chunk
+   * @param {object} [options]  - Telegram API options (reply_markup, etc.), spread over the chunks
+   *   by the chunk policy
+   * @param {object} [sendOptions] - This message only
+   * @param {object} [sendOptions.chunkPolicy] - Overrides the proxy's chunk policy
+   * @param {boolean} [sendOptions.enabled] - false: send the text as it is, without touching the proxy's state
+   * @param {{ chatType?: string, languageCode?: string, userId?: number }} [sendOptions.recipient] - Who the
+   *   message is for, as recipientPolicy sees it, e.g. { chatType: msg.chat.type, languageCode: msg.from.language_code }
+   * @returns {Promise<SendResult>}
+   * @throws The error of a call that failed for good; its `result` (and `responses`) hold what was
+   *   delivered. A message that never went out rejects with code "QUEUE_FULL" or "QUEUE_DROPPED".
+   *   An unknown chatType or a recipientPolicy that fails rejects as well.
    */
-  async sendMessage(chatId, text, options = {}) {
-    if (!this._options.enabled || typeof text !== "string" || text.trim() === "") {
-      return [await this._client.sendMessage(chatId, text, options)];
+  async sendMessage(chatId, text, options = {}, { chunkPolicy, enabled = this._options.enabled, recipient } = {}) {
+    const format = this._format(this._recipient(chatId, recipient));
+    const policy = chunkPolicy ? resolveChunkPolicy(format.chunkPolicy, chunkPolicy) : format.chunkPolicy;
+    const job = { text, run: () => this._deliver(chatId, format, job.text, options, policy, enabled) };
+    return this._enqueue(chatId, job);
+  }
+
+  /**
+   * sendPhoto, sendDocument, sendVideo, sendAudio, sendAnimation and sendVoice (called by those
+   * names) preprocess options.caption like a message, queued like one. Past maxCaptionLength the
+   * caption keeps its first part and the rest follows as text messages; the chunk policy runs
+   * over the media and those messages together. Without a caption, or with caption_entities of
+   * the caller's, the call goes to the client as it is and resolves to its response.
+   * @returns {Promise<SendResult|object>} chunks[0] is the media message (caption: true)
+   */
+  async _sendCaptioned(method, chatId, file, options = {}, fileOptions = []) {
+    const { caption, ...messageOpts } = options;
+    if (typeof caption !== "string" || !this._options.enabled || options.caption_entities) {
+      return this._client[method](chatId, file, options, ...fileOptions);
     }
+    const format = this._format(this._recipient(chatId));
+    const sendCaption = (text, chunkOptions) =>
+      this._formatted(
+        text,
+        chunkOptions,
+        (t, o, stats) =>
+          this._call(chatId, () => this._client[method](chatId, file, { ...captionOptions(o), caption: t }, ...fileOptions), stats),
+        this._chunkLimit(format, true),
+      );
+    return this._enqueue(chatId, {
+      run: () => this._deliver(chatId, format, caption, messageOpts, format.chunkPolicy, true, sendCaption),
+    });
+  }
 
-    const { chunks, parseMode } = preprocess(text, {
-      style: this._options.style,
-      maxChunkLength: this._options.maxChunkLength,
-      split: this._options.split,
+  /**
+   * Edit a media message's caption, preprocessed; an overflow past maxCaptionLength is sent as
+   * new text messages after it. Inline messages (no chat_id) go to the client as they are.
+   * @param {string} caption
+   * @param {object} options - chat_id, message_id and Telegram API options
+   * @returns {Promise<SendResult|object>}
+   */
+  async editMessageCaption(caption, options = {}) {
+    const { chat_id: chatId, message_id: messageId } = options;
+    if (typeof caption !== "string" || !this._options.enabled || options.caption_entities || chatId === undefined) {
+      return this._client.editMessageCaption(caption, options);
+    }
+    const messageOpts = { ...options };
+    delete messageOpts.chat_id;
+    delete messageOpts.message_id;
+    const format = this._format(this._recipient(chatId));
+    const editCaption = (text, chunkOptions) =>
+      this._editChunk(chatId, messageId, text, chunkOptions, true, this._chunkLimit(format, true));
+    return this._enqueue(chatId, {
+      run: () => this._deliver(chatId, format, caption, messageOpts, format.chunkPolicy, true, editCaption),
     });
+  }
+
+  /**
+   * Send an album with each item's caption preprocessed. A caption past maxCaptionLength keeps
+   * its first part; the rest follows the album as text messages, in item order.
+   * @param {string|number} chatId
+   * @param {object[]} media - InputMedia items
+   * @param {object} [options]
+   * @returns {Promise<SendResult>} chunks: one per item (caption: true), then the follow-up
+   *   messages. Albums have no logical ID: they can't be edited as one message.
+   */
+  async sendMediaGroup(chatId, media, options = {}) {
+    if (!this._options.enabled || !Array.isArray(media)) return this._client.sendMediaGroup(chatId, media, options);
+    const format = this._format(this._recipient(chatId));
+    return this._enqueue(chatId, { run: () => this._deliverGroup(chatId, format, media, options) });
+  }
 
-    const stripMeta = this._options.stripMetadata;
-    const chunksToSend = stripMeta
-      ? chunks.map((chunk) => stripMetadataFromText(chunk, stripMeta))
-      : chunks;
+  /**
+   * Replace the text of a message sent earlier, by the `id` of its SendResult. The new text is
+   * chunked again: existing messages are edited in place (unchanged ones are left alone), extra
+   * chunks are sent as new messages and messages no longer needed are deleted. Documents are
+   * deleted and sent again after the messages.
+   * @param {string} id - Logical message ID
+   * @param {string} text
+   * @param {object} [options] - Telegram API options; default: the ones it was sent with
+   * @returns {Promise<SendResult>} responses: those of the edits, sends and deletes made
+   */
+  editLogical(id, text, options) {
+    const record = this._logical.get(id);
+    if (!record) return Promise.reject(new Error(`TelegramProxy: unknown logical message "${id}"`));
+    return this._enqueue(record.chatId, { run: () => this._edit(record, text, options ?? record.options) });
+  }
+
+  /**
+   * Delete every message and document of a message sent earlier.
+   * @param {string} id - Logical message ID
+   * @returns {Promise<number>} Telegram messages deleted
+   */
+  deleteLogical(id) {
+    const record = this._logical.get(id);
+    if (!record) return Promise.reject(new Error(`TelegramProxy: unknown logical message "${id}"`));
+    return this._enqueue(record.chatId, { run: () => this._delete(record) });
+  }
+
+  /**
+   * Wait until the messages queued so far have been sent (or failed).
+   * @param {string|number} [chatId] - Omit to wait for every chat
+   * @returns {Promise<void>}
+   */
+  flush(chatId) {
+    if (chatId === undefined) return Promise.all([...this._queues.keys()].map((id) => this.flush(id))).then(() => {});
+    const queue = this._queues.get(chatId);
+    return queue ? new Promise((resolve) => queue.idle.push(resolve)) : Promise.resolve();
+  }
+
+  // Queue a job ({ run, text? }) behind the chat's earlier ones; settles with its outcome
+  _enqueue(chatId, job) {
+    return new Promise((resolve, reject) => {
+      let queue = this._queues.get(chatId);
+      if (!queue) {
+        queue = { waiting: [], idle: [], sending: false };
+        this._queues.set(chatId, queue);
+      }
+      const caller = { resolve, reject };
+      if (queue.waiting.length >= this._options.maxQueueDepth) {
+        const overflow = this._options.queueOverflow;
+        const newest = queue.waiting[queue.waiting.length - 1];
+        if (overflow === "merge" && typeof newest.text === "string" && typeof job.text === "string") {
+          // Both callers get the result of the merged message
+          newest.text += `\n\n${job.text}`;
+          newest.callers.push(caller);
+          return;
+        }
+        if (overflow === "dropOldest") {
+          const dropped = queue.waiting.shift();
+          const error = queueError(`message to chat ${chatId} dropped from a full queue`, "QUEUE_DROPPED");
+          for (const c of dropped.callers) c.reject(error);
+        } else {
+          reject(queueError(`queue for chat ${chatId} is full`, "QUEUE_FULL"));
+          return;
+        }
+      }
+      job.callers = [caller];
+      queue.waiting.push(job);
+      if (!queue.sending) this._drain(chatId, queue);
+    });
+  }
+
+  // Run a chat's queued jobs one after the other, then retire the queue
+  async _drain(chatId, queue) {
+    queue.sending = true;
+    while (queue.waiting.length > 0) {
+      const job = queue.waiting.shift();
+      try {
+        const result = await job.run();
+        for (const c of job.callers) c.resolve(result);
+      } catch (err) {
+        for (const c of job.callers) c.reject(err);
+      }
+    }
+    this._queues.delete(chatId);
+    for (const resolve of queue.idle) resolve();
+  }
 
-    // Merge parse_mode from preprocessor (HTML) unless caller already set one
-    const baseOptions = { ...options };
-    if (parseMode && !baseOptions.parse_mode) {
-      baseOptions.parse_mode = parseMode;
+  // The chunks to send for a text in a recipient's format (_format) ({ text, options } each) and the
+  // documents that go with them. captioned: the first chunk is a media caption.
+  _plan(format, text, options, policy, enabled, captioned = false) {
+    if (!enabled || typeof text !== "string" || text.trim() === "") {
+      return { chunks: [{ text, options }], attachments: [] };
     }
 
+    const entityStyle = format.options.style === "telegramEntities";
+    const preprocessOptions = this._preprocessOptions(format);
+    if (captioned) {
+      preprocessOptions.firstChunkLength = Math.min(format.options.maxCaptionLength, format.options.maxChunkLength);
+    }
+    const { chunks, parseMode, entities, attachments = [], redactions } = this._preprocessor.preprocess(
+      text,
+      preprocessOptions,
+    );
+
+    const { baseOptions, useEntities } = messageOptions(options, parseMode, entityStyle);
+    return {
+      chunks: chunks.map((chunk, i) => ({
+        text: chunk,
+        options: withEntities(positionOptions(baseOptions, policy, i, chunks.length), useEntities, entities?.[i]),
+      })),
+      attachments,
+      redactions,
+    };
+  }
+
+  // sendCaption(text, options): how the first chunk goes out when it is a media caption
+  async _deliver(chatId, format, text, options, policy, enabled, sendCaption) {
+    const captioned = Boolean(sendCaption);
+    const plan = this._plan(format, text, options, policy, enabled, captioned);
+    const record = this._track({ chatId, format, options, policy, enabled, captioned, chunks: [], documents: [] });
+    if (plan.redactions) record.redactions = plan.redactions;
+    const responses = [];
+    try {
+      for (let i = 0; i < plan.chunks.length; i++) {
+        if (i > 0 && this._options.chunkDelayMs > 0) {
+          await sleep(this._options.chunkDelayMs);
+        }
+        const { text: chunkText, options: chunkOptions } = plan.chunks[i];
+        const sent = i === 0 && captioned
+          ? { ...(await sendCaption(chunkText, chunkOptions)), caption: true }
+          : await this._sendChunk(chatId, chunkText, chunkOptions, this._chunkLimit(format));
+        record.chunks.push(sentChunk(sent));
+        responses.push(sent.response);
+        await this._sendDocuments(record, plan.attachments.filter((a) => a.afterChunk === i), responses);
+      }
+    } catch (err) {
+      throw withResult(err, this._result(record, responses));
+    }
+    return this._result(record, responses);
+  }
+
+  async _edit(record, text, options) {
+    const { chatId } = record;
+    const plan = this._plan(record.format, text, options, record.policy, record.enabled, record.captioned);
+    if (plan.redactions) record.redactions = plan.redactions;
+    const responses = [];
+    try {
+      for (let i = 0; i < plan.chunks.length; i++) {
+        const { text: chunkText, options: chunkOptions } = plan.chunks[i];
+        const old = record.chunks[i];
+        if (!old) {
+          if (this._options.chunkDelayMs > 0) await sleep(this._options.chunkDelayMs);
+          const sent = await this._sendChunk(chatId, chunkText, chunkOptions, this._chunkLimit(record.format));
+          record.chunks.push(sentChunk(sent));
+          responses.push(sent.response);
+          continue;
+        }
+        const edit = old.caption ? captionOptions(editMessageOptions(chunkOptions)) : editMessageOptions(chunkOptions);
+        const unchanged =
+          old.text === chunkText &&
+          old.parse_mode === edit.parse_mode &&
+          sameJson(old.entities, old.caption ? edit.caption_entities : edit.entities) &&
+          sameJson(inlineKeyboard(old.reply_markup), edit.reply_markup);
+        if (unchanged) continue;
+        const limit = this._chunkLimit(record.format, old.caption);
+        const sent = await this._editChunk(chatId, old.message_id, chunkText, chunkOptions, old.caption, limit);
+        record.chunks[i] = sentChunk(old.caption ? { ...sent, caption: true } : sent);
+        responses.push(sent.response);
+      }
+      while (record.chunks.length > plan.chunks.length) {
+        responses.push(await this._deleteMessage(chatId, record.chunks[record.chunks.length - 1].message_id));
+        record.chunks.pop();
+      }
+      while (record.documents.length > 0) {
+        responses.push(await this._deleteMessage(chatId, record.documents[0].message_id));
+        record.documents.shift();
+      }
+      record.options = options;
+      await this._sendDocuments(record, plan.attachments, responses);
+    } catch (err) {
+      throw withResult(err, this._result(record, responses));
+    }
+    return this._result(record, responses);
+  }
+
+  async _deliverGroup(chatId, format, media, options) {
+    // Items with a caption of their own formatting (caption_entities) are left alone
+    const plans = media.map((item) =>
+      typeof item.caption === "string" && !item.caption_entities
+        ? this._plan(
+            format,
+            item.caption,
+            item.parse_mode ? { ...options, parse_mode: item.parse_mode } : options,
+            format.chunkPolicy,
+            true,
+            true,
+          )
+        : null,
+    );
+    const captions = plans.map((plan) => plan?.chunks[0]);
+    const items = () => media.map((item, i) => (captions[i] ? captionItem(item, captions[i]) : item));
+    const record = { chatId, options, chunks: [], documents: [] };
+    if (plans.some((plan) => plan?.redactions)) {
+      record.redactions = plans.flatMap((plan, item) => (plan?.redactions ?? []).map((r) => ({ ...r, item })));
+    }
     const responses = [];
-    for (let i = 0; i < chunksToSend.length; i++) {
-      if (i > 0 && this._options.chunkDelayMs > 0) {
-        await sleep(this._options.chunkDelayMs);
+    try {
+      const stats = { retries: 0 };
+      const send = () => this._call(chatId, () => this._client.sendMediaGroup(chatId, items(), options), stats);
+      let sent;
+      let fallback;
+      try {
+        sent = await send();
+      } catch (err) {
+        // One item's formatting fails the whole album: send every caption in its plain form
+        const limit = this._chunkLimit(format, true);
+        const plain = captions.map((caption) => caption && plainForm(caption.text, caption.options, limit));
+        if (!isEntityParseError(err) || !plain.some(Boolean)) throw err;
+        fallback = apiErrorInfo(err).description;
+        plain.forEach((form, i) => {
+          if (form) captions[i] = form;
+        });
+        sent = await send();
+      }
+      responses.push(sent);
+      media.forEach((item, i) => {
+        const { text = item.caption, options: captionOpts = {} } = captions[i] ?? {};
+        const retries = i === 0 ? stats.retries : 0;
+        const response = Array.isArray(sent) ? sent[i] : undefined;
+        record.chunks.push(sentChunk({ response, text, options: captionOpts, retries, caption: true, fallback: captions[i] && fallback }));
+      });
+      for (const plan of plans) {
+        if (!plan) continue;
+        await this._sendDocuments(record, plan.attachments.filter((a) => a.afterChunk === 0), responses);
+        for (let i = 1; i < plan.chunks.length; i++) {
+          if (this._options.chunkDelayMs > 0) await sleep(this._options.chunkDelayMs);
+          const chunkSent = await this._sendChunk(chatId, plan.chunks[i].text, plan.chunks[i].options, this._chunkLimit(format));
+          record.chunks.push(sentChunk(chunkSent));
+          responses.push(chunkSent.response);
+          await this._sendDocuments(record, plan.attachments.filter((a) => a.afterChunk === i), responses);
+        }
+      }
+    } catch (err) {
+      throw withResult(err, this._result(record, responses));
+    }
+    return this._result(record, responses);
+  }
+
+  async _delete(record) {
+    const messages = [...record.chunks, ...record.documents];
+    for (const message of messages) await this._deleteMessage(record.chatId, message.message_id);
+    this._logical.delete(record.id);
+    return messages.length;
+  }
+
+  // Remember what was sent for a logical message, forgetting the oldest beyond maxTrackedMessages
+  _track(record) {
+    record.id = randomUUID();
+    this._logical.set(record.id, record);
+    for (const id of this._logical.keys()) {
+      if (this._logical.size <= this._options.maxTrackedMessages) break;
+      this._logical.delete(id);
+    }
+    return record;
+  }
+
+  /**
+   * @typedef {object} SendResult
+   * @property {string} id - Logical message ID, for editLogical/deleteLogical
+   * @property {string|number} chatId
+   * @property {object[]} chunks - One per chunk, in order: { message_id, text (as sent), parse_mode,
+   *   entities, reply_markup, retries, fallback (Telegram's reason, when it went out as plain text), response }
+   * @property {object[]} documents - Code sent as files: { afterChunk, filename, message_id, retries, response }
+   * @property {object[]} responses - Raw API responses of this call, in the order they were made
+   * @property {number} retries - Retried API calls, all chunks and documents together
+   * @property {object[]} fallbacks - Chunks resent as plain text: { chunk, response, reason }
+   * @property {object[]} [redactions] - With redact or stripMetadata: what was redacted (see lib/redact.mjs);
+   *   album captions say which item
+   */
+  _result(record, responses) {
+    const chunks = record.chunks.map((c) => ({ ...c }));
+    const result = {
+      id: record.id,
+      chatId: record.chatId,
+      chunks,
+      documents: record.documents.map((d) => ({ ...d })),
+      responses,
+      retries: [...record.chunks, ...record.documents].reduce((sum, c) => sum + c.retries, 0),
+      fallbacks: chunks.flatMap((c, i) => (c.fallback ? [{ chunk: i, response: c.response, reason: c.fallback }] : [])),
+    };
+    if (record.redactions) result.redactions = [...record.redactions];
+    return result;
+  }
+
+  /**
+   * Start a message whose text arrives in pieces (e.g. an agent's token stream). It holds the
+   * chat's queue from its first write() to end(), so don't wait for another message to the
+   * same chat in between.
+   * @param {string|number} chatId
+   * @param {object} [options] - Telegram API options for the messages sent (reply_markup, etc.)
+   * @returns {TelegramDraft}
+   */
+  draft(chatId, options = {}, { recipient } = {}) {
+    return new TelegramDraft(this, chatId, options, () => this._format(this._recipient(chatId, recipient)));
+  }
+
+  // limit: what the chunk's plain form must fit (_chunkLimit)
+  _sendChunk(chatId, text, options, limit) {
+    return this._formatted(
+      text,
+      options,
+      (t, o, stats) => this._call(chatId, () => this._client.sendMessage(chatId, t, o), stats),
+      limit,
+    );
+  }
+
+  // caption: edit a media message's caption rather than a text. "message is not modified" counts as done.
+  async _editChunk(chatId, messageId, text, options, caption = false, limit) {
+    const method = caption ? "editMessageCaption" : "editMessageText";
+    if (typeof this._client[method] !== "function") throw new Error(`TelegramProxy: the client has no ${method}`);
+    const editOptions = (o) => (caption ? captionOptions(editMessageOptions(o)) : editMessageOptions(o));
+    const sent = await this._formatted(text, options, (t, o, stats) =>
+      this._call(
+        chatId,
+        async () => {
+          try {
+            return await this._client[method](t, { ...editOptions(o), chat_id: chatId, message_id: messageId });
+          } catch (err) {
+            if (isNotModified(err)) return true;
+            throw err;
+          }
+        },
+        stats,
+      ),
+      limit,
+    );
+    return { ...sent, messageId };
+  }
+
+  _deleteMessage(chatId, messageId) {
+    if (typeof this._client.deleteMessage !== "function") {
+      return Promise.reject(new Error("TelegramProxy: the client has no deleteMessage"));
+    }
+    return this._call(chatId, () => this._client.deleteMessage(chatId, messageId));
+  }
+
+  /**
+   * Send or edit one formatted chunk through attempt(text, options, stats). If Telegram rejects
+   * its formatting, do it again in its plainForm, within limit; chunks without one throw the error.
+   * @returns {Promise<{ response: object, text: string, options: object, retries: number, fallback?: string }>}
+   *   what went out; fallback: why it went out plain
+   */
+  async _formatted(text, options, attempt, limit) {
+    const stats = { retries: 0 };
+    try {
+      return { response: await attempt(text, options, stats), text, options, retries: stats.retries };
+    } catch (err) {
+      const plain = plainForm(text, options, limit);
+      if (!plain || !isEntityParseError(err)) throw err;
+      const response = await attempt(plain.text, plain.options, stats);
+      return { response, ...plain, retries: stats.retries, fallback: apiErrorInfo(err).description };
+    }
+  }
+
+  /**
+   * One Bot API call for a chat: waits for the rate limiter, retries per the retry policy.
+   * @param {string|number} chatId
+   * @param {() => Promise<object>} request
+   * @param {{ retries: number }} [stats] - Counts the retries made
+   */
+  async _call(chatId, request, stats = { retries: 0 }) {
+    for (let attempt = 0; ; attempt++) {
+      await this._limiter?.acquire(chatId);
+      try {
+        return await request();
+      } catch (err) {
+        const delay = attempt < this._retry.retries ? retryDelay(err, attempt, this._retry) : null;
+        if (delay === null) throw err;
+        stats.retries++;
+        // A flood wait applies to the chat: hold back the other sends to it as well
+        if (this._limiter && apiErrorInfo(err).status === 429) this._limiter.hold(chatId, delay);
+        else await sleep(delay);
       }
-      const res = await this._client.sendMessage(chatId, chunksToSend[i], baseOptions);
-      responses.push(res);
     }
+  }
+
+  // Who a message is for: the chat, and what the caller told about it
+  _recipient(chatId, { chatType = inferChatType(chatId), languageCode, userId } = {}) {
+    if (!CHAT_TYPES.includes(chatType)) throw new Error(`TelegramProxy: unknown chatType "${chatType}"`);
+    const recipient = { chatId, chatType };
+    if (languageCode !== undefined) recipient.languageCode = languageCode;
+    if (userId !== undefined) recipient.userId = userId;
+    return recipient;
+  }
+
+  // How messages to a recipient are formatted ({ options, redact, chunkPolicy }): the chat's
+  // format, with what recipientPolicy returns for the recipient over it
+  _format(recipient) {
+    const base = this._chatFormat(recipient.chatId);
+    const chosen = this._options.recipientPolicy?.(recipient);
+    if (chosen === undefined || chosen === null) return base;
+    const other = Object.keys(chosen).find((key) => !RECIPIENT_OPTIONS.includes(key));
+    if (other) throw new Error(`TelegramProxy: recipientPolicy can't set "${other}" per recipient`);
+    const options = { ...base.options, ...chosen };
+    const chunkPolicy = chosen.chunkPolicy ? resolveChunkPolicy(base.chunkPolicy, chosen.chunkPolicy) : base.chunkPolicy;
+    return { options, redact: redactionSpec(options), chunkPolicy };
+  }
+
+  // The format of a chat: the proxy's, or for a chat the config maps to another profile, that
+  // profile's under the options given in code
+  _chatFormat(chatId) {
+    const profile = this._options.config?.profileFor({ chatId, profile: this._options.profile });
+    if (!this._chatFormats.has(profile)) {
+      const options = { ...DEFAULT_OPTIONS, ...this._options.config.resolve({ profile }), ...this._ownOptions };
+      const chunkPolicy = resolveChunkPolicy(options.chunkPolicy);
+      this._chatFormats.set(profile, { options, redact: redactionSpec(options), chunkPolicy });
+    }
+    return this._chatFormats.get(profile);
+  }
 
-    return responses;
+  // The length a chunk in a format may have, as its plain form must keep to it; a caption's is shorter
+  _chunkLimit({ options }, caption = false) {
+    const { maxChunkLength, maxCaptionLength, measureLength = telegramLength } = options;
+    return { maxLength: caption ? Math.min(maxCaptionLength, maxChunkLength) : maxChunkLength, measure: measureLength };
+  }
+
+  /** Options forwarded to the preprocessor for messages in a format (_format). */
+  _preprocessOptions({ options, redact }) {
+    return {
+      style: options.style,
+      maxChunkLength: options.maxChunkLength,
+      measureLength: options.measureLength,
+      split: options.split,
+      codeBlockOverflow: options.codeBlockOverflow,
+      tableStyle: options.tableStyle,
+      maxTableRows: options.maxTableRows,
+      linkSchemes: options.linkSchemes,
+      linkStyle: options.linkStyle,
+      features: options.features,
+      headingStyles: options.headingStyles,
+      redact: redact.length > 0 ? redact : undefined,
+    };
+  }
+
+  // Send code blocks diverted by codeBlockOverflow "document", recording them on the logical message
+  async _sendDocuments(record, attachments, responses) {
+    for (const attachment of attachments) {
+      const stats = { retries: 0 };
+      const response = await this._sendAttachment(record.chatId, attachment, record.options, stats);
+      const { afterChunk, filename } = attachment;
+      record.documents.push({ afterChunk, filename, message_id: response?.message_id, retries: stats.retries, response });
+      responses.push(response);
+    }
   }
 
   /**
-   * Convenience: disable preprocessing temporarily.
+   * Send a code block diverted by codeBlockOverflow "document" as a file.
+   * Only the forum thread is carried over from the message options.
+   */
+  async _sendAttachment(chatId, attachment, options, stats) {
+    if (this._options.chunkDelayMs > 0) await sleep(this._options.chunkDelayMs);
+    const docOptions = {};
+    if (options.message_thread_id !== undefined) docOptions.message_thread_id = options.message_thread_id;
+    return this._call(
+      chatId,
+      () =>
+        this._client.sendDocument(chatId, Buffer.from(attachment.content, "utf8"), docOptions, {
+          filename: attachment.filename,
+          contentType: attachment.mimeType,
+        }),
+      stats,
+    );
+  }
+
+  /**
+   * A view of this proxy that sends as it is, for one sender: its sendMessage passes
+   * { enabled: false }, its caption methods and sendMediaGroup go to the client. Everything else,
+   * the chat queues included, is the proxy's own, and other senders still get preprocessing.
+   * @returns {TelegramProxy}
+   */
+  raw() {
+    const proxy = this;
+    return new Proxy(proxy, {
+      get(target, prop) {
+        if (prop === "sendMessage") {
+          return (chatId, text, options, sendOptions = {}) =>
+            proxy.sendMessage(chatId, text, options, { ...sendOptions, enabled: false });
+        }
+        const client = proxy._client;
+        if (CAPTION_METHODS.includes(prop) || prop === "sendMediaGroup" || prop === "editMessageCaption") {
+          return typeof client[prop] === "function" ? client[prop].bind(client) : client[prop];
+        }
+        const val = proxy[prop];
+        return typeof val === "function" ? val.bind(proxy) : val;
+      },
+    });
+  }
+
+  /**
+   * Switch preprocessing off for the whole proxy: every sender sharing it gets raw sends until
+   * enable(). For one sender use raw(), for one message { enabled: false }.
+   * @deprecated Global state; use raw() or the per-call { enabled: false } instead
    */
   disable() {
     this._options.enabled = false;
@@ -121,7 +933,8 @@ export class TelegramProxy {
   }
 
   /**
-   * Convenience: re-enable preprocessing.
+   * Switch preprocessing back on for the whole proxy (see disable()).
+   * @deprecated Global state; use raw() or the per-call { enabled: false } instead
    */
   enable() {
     this._options.enabled = true;
@@ -129,6 +942,270 @@ export class TelegramProxy {
   }
 }
 
+/**
+ * A message being written while its text streams in (see TelegramProxy#draft).
+ *
+ * The first chunk is sent as soon as there is text, then edited in place as more arrives,
+ * at most once per draftIntervalMs per chat. Once a chunk is final (createStreamingPreprocessor)
+ * its message is left alone and the draft continues in a new message. end() deletes any
+ * messages left over from a longer preview and gives every other message its final text.
+ *
+ * Edits that would change nothing are skipped, and "message is not modified" errors ignored.
+ * If an edit fails otherwise, or the client has no editMessageText, the draft turns
+ * append-only: no more edits, and every chunk not yet delivered in its final form is sent as
+ * a new message once it is final (the message being edited keeps its partial text).
+ *
+ * A draft takes its turn in the chat's queue like a message and keeps it from the first
+ * write() to end(): messages to the chat queued meanwhile go out after the draft's, never
+ * between them. Call end() even after a failed write(), or the chat's queue stays blocked.
+ */
+export class TelegramDraft {
+  /**
+   * @param {TelegramProxy} proxy
+   * @param {string|number} chatId
+   * @param {object} options - Telegram API options for the messages sent
+   * @param {object|(() => object)} [format] - How the recipient's messages are formatted
+   *   (TelegramProxy#_format), or a function that looks it up. If the lookup or the options it
+   *   gives fail, write() and end() reject with the error.
+   */
+  constructor(proxy, chatId, options, format = () => proxy._format(proxy._recipient(chatId))) {
+    this._proxy = proxy;
+    this._client = proxy._client;
+    this._chatId = chatId;
+    this._ended = false;
+    try {
+      this._start(options, typeof format === "function" ? format() : format);
+    } catch (err) {
+      this._error = err;
+    }
+  }
+
+  _start(options, format) {
+    const proxy = this._proxy;
+    const chatId = this._chatId;
+    this._preprocessOptions = proxy._preprocessOptions(format);
+    this._limit = proxy._chunkLimit(format);
+    this._stream = proxy._preprocessor.createStreamingPreprocessor(this._preprocessOptions);
+    const entityStyle = this._preprocessOptions.style === "telegramEntities";
+    ({ baseOptions: this._baseOptions, useEntities: this._useEntities } = messageOptions(
+      options,
+      this._stream.parseMode,
+      entityStyle,
+    ));
+    this._final = { chunks: [], entities: [], attachments: [] };
+    // { text, entities, options (as shown), chunk (SendResult chunk), response (of the send) }, one per chunk
+    this._messages = [];
+    this._settled = 0; // leading messages that hold their final text
+    this._delivered = []; // append-only: SendResult chunks of the final chunks delivered
+    this._attachmentsSent = 0;
+    this._responses = [];
+    this._record = { chatId, format, options, policy: format.chunkPolicy, enabled: true, chunks: [], documents: [] };
+    if (this._preprocessOptions.redact) this._record.redactions = [];
+    this._appendOnly = false;
+    this._complete = false; // end() has the final chunks: the last message is known
+    this._queue = Promise.resolve();
+    // The chat's queue is held from the first write() to end(), so other messages can't cut in
+    this._turn = null;
+    this._released = new Promise((resolve) => {
+      this._release = resolve;
+    });
+  }
+
+  /**
+   * Add text. Updates run one at a time, in order.
+   * @param {string} delta
+   * @returns {Promise<void>}
+   */
+  async write(delta) {
+    if (this._error) throw this._error;
+    if (this._ended) throw new Error("TelegramDraft: write() after end()");
+    return this._enqueue(async () => {
+      await this._hold();
+      return this._write(String(delta));
+    });
+  }
+
+  /**
+   * Finish the draft: every message gets its final text.
+   * @param {string} [delta] - Last piece of text
+   * @returns {Promise<SendResult>} responses: those of the messages and documents sent, in send order
+   */
+  async end(delta = "") {
+    if (this._error) throw this._error;
+    if (this._ended) throw new Error("TelegramDraft: end() called twice");
+    this._ended = true;
+    return this._enqueue(async () => {
+      try {
+        await this._hold();
+        return await this._end(String(delta));
+      } finally {
+        this._release();
+      }
+    });
+  }
+
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  // Wait for the draft's turn in the chat's queue; it keeps the queue until end(). Rejects,
+  // for every write from then on, if the queue refused the draft (QUEUE_FULL, QUEUE_DROPPED).
+  _hold() {
+    this._turn ??= new Promise((resolve, reject) => {
+      const job = {
+        run: () => {
+          resolve();
+          return this._released;
+        },
+      };
+      this._proxy._enqueue(this._chatId, job).catch(reject);
+    });
+    return this._turn;
+  }
+
+  _collect({ chunks, entities, attachments = [], redactions = [] }) {
+    this._record.redactions?.push(...redactions);
+    this._final.chunks.push(...chunks);
+    this._final.entities.push(...(entities ?? chunks.map(() => undefined)));
+    this._final.attachments.push(...attachments);
+  }
+
+  async _write(delta) {
+    this._collect(this._stream.write(delta));
+    if (this._appendOnly) {
+      await this._appendFinal();
+      return;
+    }
+    // The first message goes out right away; after that, one update per interval per chat
+    const last = this._proxy._draftUpdates.get(this._chatId) ?? -Infinity;
+    if (this._messages.length > 0 && Date.now() - last < this._proxy._options.draftIntervalMs) return;
+    // The final chunks so far, then the rest of the text as it stands (only that is processed again)
+    const preview = this._stream.preview();
+    const { chunks, entities } = this._final;
+    await this._show([...chunks, ...preview.chunks], preview.entities && [...entities, ...preview.entities]);
+  }
+
+  async _end(delta) {
+    this._collect(this._stream.end(delta));
+    this._complete = true;
+    if (!this._appendOnly) await this._deleteExtra();
+    if (!this._appendOnly) await this._show(this._final.chunks, this._final.entities);
+    if (this._appendOnly) {
+      await this._appendFinal();
+      return this._result(this._delivered);
+    }
+    return this._result(this._messages.map((message) => message.chunk));
+  }
+
+  // A preview can run to more messages than the final text: delete the extra ones, last first.
+  // If one can't be deleted (a failed delete, or a client without deleteMessage) it keeps its
+  // preview text and the draft turns append-only, so the final text follows it in full.
+  async _deleteExtra() {
+    while (this._messages.length > this._final.chunks.length) {
+      const message = this._messages[this._messages.length - 1];
+      try {
+        await this._proxy._deleteMessage(this._chatId, message.chunk.message_id);
+      } catch {
+        this._fallBack();
+        return;
+      }
+      this._messages.pop();
+      this._responses.splice(this._responses.indexOf(message.response), 1);
+    }
+  }
+
+  _result(chunks) {
+    this._record.chunks = chunks;
+    return this._proxy._result(this._proxy._track(this._record), this._responses);
+  }
+
+  // Bring the messages after the settled ones in line with chunks (a preview or the final text)
+  async _show(chunks, entities) {
+    for (let i = this._settled; i < chunks.length && !this._appendOnly; i++) {
+      await this._showChunk(i, chunks[i], entities?.[i]);
+    }
+    if (this._appendOnly) return this._appendFinal();
+    this._proxy._draftUpdates.set(this._chatId, Date.now());
+    this._settled = Math.min(this._final.chunks.length, this._messages.length);
+    await this._sendAttachments(this._settled);
+  }
+
+  async _showChunk(i, text, entities) {
+    const message = this._messages[i];
+    if (!message) {
+      if (i > 0 && this._proxy._options.chunkDelayMs > 0) await sleep(this._proxy._options.chunkDelayMs);
+      const options = this._chunkOptions(i, entities);
+      const chunk = await this._send(i, text, entities);
+      this._messages.push({ text, entities, options, chunk, response: chunk.response });
+      return;
+    }
+    const chunkOptions = this._chunkOptions(i, entities);
+    const unchanged =
+      message.text === text &&
+      sameJson(message.entities, entities) &&
+      sameJson(editMessageOptions(message.options), editMessageOptions(chunkOptions));
+    if (unchanged) return;
+    let sent;
+    try {
+      sent = await this._proxy._editChunk(this._chatId, message.chunk.message_id, text, chunkOptions, false, this._limit);
+    } catch {
+      this._fallBack();
+      return;
+    }
+    Object.assign(message, { text, entities, options: chunkOptions, chunk: sentChunk(sent) });
+  }
+
+  // Stop editing. Messages already showing their final text count as delivered.
+  _fallBack() {
+    this._appendOnly = true;
+    const { chunks, entities } = this._final;
+    while (
+      this._settled < Math.min(chunks.length, this._messages.length) &&
+      this._messages[this._settled].text === chunks[this._settled] &&
+      JSON.stringify(this._messages[this._settled].entities) === JSON.stringify(entities[this._settled])
+    ) {
+      this._settled++;
+    }
+    this._delivered = this._messages.slice(0, this._settled).map((message) => message.chunk);
+  }
+
+  // Append-only: send the final chunks not delivered yet as new messages
+  async _appendFinal() {
+    await this._sendAttachments(this._settled);
+    for (; this._settled < this._final.chunks.length; this._settled++) {
+      if (this._proxy._options.chunkDelayMs > 0) await sleep(this._proxy._options.chunkDelayMs);
+      const i = this._settled;
+      this._delivered.push(await this._send(i, this._final.chunks[i], this._final.entities[i]));
+      await this._sendAttachments(i + 1);
+    }
+  }
+
+  // Options for message i under the chunk policy. Until the text is complete no message is
+  // the last one, so a keyboard only comes with the final text of the last message.
+  _chunkOptions(i, entities) {
+    const n = this._complete ? this._final.chunks.length : Infinity;
+    return withEntities(positionOptions(this._baseOptions, this._record.policy, i, n), this._useEntities, entities);
+  }
+
+  // Send chunk i as a new message; returns its SendResult chunk
+  async _send(i, text, entities) {
+    const sent = await this._proxy._sendChunk(this._chatId, text, this._chunkOptions(i, entities), this._limit);
+    this._responses.push(sent.response);
+    return sentChunk(sent);
+  }
+
+  // Documents that go after one of the first `chunks` final chunks
+  async _sendAttachments(chunks) {
+    const { attachments } = this._final;
+    while (this._attachmentsSent < attachments.length && attachments[this._attachmentsSent].afterChunk < chunks) {
+      const attachment = attachments[this._attachmentsSent++];
+      await this._proxy._sendDocuments(this._record, [attachment], this._responses);
+    }
+  }
+}
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -1,178 +1,191 @@
-# OpenClaw Integration Test
-
 /**
- * This script tests the integration of the Telegram Preprocessor with OpenClaw.
- * It verifies that tables are converted to bullets, code blocks are preserved,
- * and metadata is hidden.
+ * Tests for the OpenClaw adapter (openclaw.mjs) against a mock bot
+ * Run: node test-integration.mjs
  */
 
-const { preprocess } = require('./index.mjs');
+import { integrateTelegramPreprocessor, preprocessTelegramMessage } from "./openclaw.mjs";
+import { createConfig } from "./config.mjs";
 
-/**
- * Test 1: Table Conversion
- */
-function testTableConversion() {
-  const message = `Here is a table:\n| A | B |\n|---|---|\n| 1 | 2 |\n| 3 | 4 |\n\nMetadata: message_id: 12345, sender_id: 67890`;
-
-  const { chunks, parseMode } = preprocess(message, {
-    style: "telegramHtml",
-    split: true,
-  });
-
-  // Hide metadata
-  const cleanedChunks = chunks.map(chunk => {
-    return chunk.replace(/\bmessage_id:\s*[^\s]+\b|\bsender_id:\s*[^\s]+\b/gi, "").trim();
-  });
-
-  console.log('=== Test 1: Table Conversion ===');
-  console.log('Processed Chunks:', cleanedChunks);
-  console.log('Parse Mode:', parseMode);
-
-  const success = cleanedChunks[0].includes('• A: 1 · B: 2') && cleanedChunks[0].includes('• A: 3 · B: 4') && !cleanedChunks[0].includes('message_id:');
-  console.log('Test Passed:', success);
-  return success;
+function assert(cond, msg) {
+  if (!cond) throw new Error(`FAIL: ${msg}`);
 }
 
-/**
- * Test 2: Code Block Preservation
- */
-function testCodeBlockPreservation() {
-  const message = `Here is a code block:\n\n"`
-  function example() {
-    return "Hello, World!";
-  }
-  "`
-
-Metadata: message_id: 54321, timestamp: 2026-03-04T18:32:00Z`;
-
-  const { chunks, parseMode } = preprocess(message, {
-    style: "telegramHtml",
-    split: true,
-  });
+function includes(str, sub, msg) {
+  if (!str.includes(sub)) throw new Error(`FAIL: ${msg}\n  missing: ${JSON.stringify(sub)}\n  in: ${JSON.stringify(str)}`);
+}
 
-  // Hide metadata
-  const cleanedChunks = chunks.map(chunk => {
-    return chunk.replace(/\bmessage_id:\s*[^\s]+\b|\bsender_id:\s*[^\s]+\b/gi, "").trim();
-  });
+function notIncludes(str, sub, msg) {
+  if (str.includes(sub)) throw new Error(`FAIL: ${msg}\n  should not contain: ${JSON.stringify(sub)}`);
+}
 
-  console.log('\n=== Test 2: Code Block Preservation ===');
-  console.log('Output includes function:', cleanedChunks[0].includes('function example() {'));
-  console.log('Metadata hidden:', !cleanedChunks[0].includes('message_id:'));
+// Mock OpenClaw bot: sendMessage records what reaches it; fail(n) makes the nth call from now reject
+function makeMockBot() {
+  const sent = [];
+  let failAt = 0;
+  return {
+    sent,
+    fail(n = 1) {
+      failAt = sent.length + n;
+    },
+    async sendMessage(chatId, text, opts) {
+      sent.push({ chatId, text, opts, self: this });
+      if (sent.length === failAt) throw new Error("Bad Request: chat not found");
+      // Resolve late, so a send nobody waited for would still be missing
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return { message_id: sent.length, chat: { id: chatId }, text };
+    },
+  };
+}
 
-  const success = cleanedChunks[0].includes('function example() {') && !cleanedChunks[0].includes('message_id:');
-  console.log('Test Passed:', success);
-  return success;
+// No delays or retries in tests
+const FAST = { chunkDelayMs: 0, retry: false, rateLimit: false };
+
+const TABLE = "Here is a table:\n| A | B |\n|---|---|\n| 1 | 2 |\n| 3 | 4 |\n\nMetadata: message_id: 12345, sender_id: 67890";
+
+// 1) Telegram messages: tables become bullets, metadata is removed, HTML parse mode
+{
+  const bot = makeMockBot();
+  integrateTelegramPreprocessor(bot, FAST);
+  const result = await bot.sendMessage(42, TABLE, { channel: "telegram" });
+  assert(bot.sent.length === 1, `one message sent, got ${bot.sent.length}`);
+  const [{ text, opts }] = bot.sent;
+  includes(text, "• A: 1 · B: 2", "table row as bullet");
+  includes(text, "• A: 3 · B: 4", "second row as bullet");
+  notIncludes(text, "message_id", "metadata hidden");
+  notIncludes(text, "sender_id", "metadata hidden");
+  assert(opts.parse_mode === "HTML", "HTML parse mode");
+  assert(opts.channel === "telegram", "the chunk keeps the caller's options");
+  assert(result.chunks.length === 1 && result.chunks[0].message_id === 1, "resolves to the SendResult");
+  assert(result.redactions.some((r) => r.rule === "internalId"), "redactions reported");
+  console.log("✓ tables and metadata");
 }
 
-/**
- * Test 3: Long Message Chunking
- */
-function testLongMessageChunking() {
-  const longMessage = "A".repeat(5000) + "\nHere is a table:\n| A | B |\n|---|---|\n| 1 | 2 |\n";
-
-  const { chunks, parseMode } = preprocess(longMessage, {
-    style: "telegramHtml",
-    split: true,
-  });
-
-  console.log('\n=== Test 3: Long Message Chunking ===');
-  console.log('Number of Chunks:', chunks.length);
-  console.log('First Chunk Length:', chunks[0].length);
-  console.log('First Chunk:', chunks[0].substring(0, 100) + (chunks[0].length > 100 ? "..." : ""));
-
-  const success = chunks.length > 1 && chunks[0].length <= 4096;
-  console.log('Test Passed:', success);
-  return success;
+// 2) Code blocks are kept as written
+{
+  const bot = makeMockBot();
+  integrateTelegramPreprocessor(bot, FAST);
+  const code = 'function example() {\n  return "message_id: 1 <b>";\n}';
+  await bot.sendMessage(42, `Code:\n\n\`\`\`js\n${code}\n\`\`\`\n\nmessage_id: 54321`, { channel: "telegram" });
+  const [{ text }] = bot.sent;
+  includes(text, "function example() {", "code kept");
+  includes(text, "message_id: 1 &lt;b&gt;", "metadata inside code kept, escaped");
+  notIncludes(text, "54321", "metadata outside code removed");
+  console.log("✓ code preserved");
 }
 
-/**
- * Test 4: HTML Style Conversion
- */
-function testHtmlStyleConversion() {
-  const message = `**Bold text** and _italic text_`;
+// 3) Long messages: every chunk is sent, in order, before sendMessage resolves
+{
+  const bot = makeMockBot();
+  integrateTelegramPreprocessor(bot, FAST);
+  const paragraphs = Array.from({ length: 60 }, (_, i) => `Paragraph ${i}: ${"word ".repeat(30)}`);
+  const result = await bot.sendMessage(42, paragraphs.join("\n\n"), { channel: "telegram" });
+  assert(bot.sent.length > 1, `split into chunks, got ${bot.sent.length}`);
+  assert(result.chunks.length === bot.sent.length, "every chunk sent before resolving");
+  assert(bot.sent.every(({ text }) => text.length <= 4096), "chunks within 4096");
+  const joined = bot.sent.map(({ text }) => text).join("\n\n");
+  assert(joined.indexOf("Paragraph 0:") < joined.indexOf("Paragraph 59:"), "chunks in order");
+  includes(joined, "Paragraph 59:", "nothing lost");
+  console.log("✓ long messages chunked and awaited");
+}
 
-  const { chunks, parseMode } = preprocess(message, {
-    style: "telegramHtml",
-    split: false,
-  });
+// 4) Other channels and calls without opts go to the original sendMessage untouched
+{
+  const bot = makeMockBot();
+  integrateTelegramPreprocessor(bot, FAST);
+  const opts = { channel: "email" };
+  const response = await bot.sendMessage("a@example.com", TABLE, opts);
+  assert(bot.sent[0].text === TABLE && bot.sent[0].opts === opts, "passed through as it is");
+  assert(response.message_id === 1, "the original's response");
+  await bot.sendMessage(42, "| A |\n|---|\n| 1 |");
+  assert(bot.sent[1].text === "| A |\n|---|\n| 1 |" && bot.sent[1].opts === undefined, "no channel: passed through");
+
+  const discord = makeMockBot();
+  integrateTelegramPreprocessor(discord, { ...FAST, channel: "discord" });
+  await discord.sendMessage(1, TABLE, { channel: "discord" });
+  await discord.sendMessage(1, TABLE, { channel: "telegram" });
+  includes(discord.sent[0].text, "• A: 1 · B: 2", "the configured channel is preprocessed");
+  assert(discord.sent[1].text === TABLE, "other channels are not");
+  console.log("✓ channel filter");
+}
 
-  console.log('\n=== Test 4: HTML Style Conversion ===');
-  console.log('Output:', chunks[0]);
-  console.log('Parse Mode:', parseMode);
+// 5) Chunks go to the original sendMessage, with the bot as `this`: no recursion
+{
+  const bot = makeMockBot();
+  const original = bot.sendMessage;
+  const { restore } = integrateTelegramPreprocessor(bot, FAST);
+  assert(bot.sendMessage !== original, "sendMessage replaced");
+  await bot.sendMessage(42, "Hello", { channel: "telegram" });
+  assert(bot.sent.length === 1 && bot.sent[0].self === bot, "sent once, through the original on the bot");
+
+  let threw = null;
+  try {
+    integrateTelegramPreprocessor(bot);
+  } catch (err) {
+    threw = err.message;
+  }
+  includes(threw, "already integrated", "integrating twice is refused");
+
+  restore();
+  assert(bot.sendMessage === original, "restore() puts the original back");
+  await bot.sendMessage(42, TABLE, { channel: "telegram" });
+  assert(bot.sent[1].text === TABLE, "after restore, nothing is preprocessed");
+  integrateTelegramPreprocessor(bot, FAST);
+  console.log("✓ no recursion, restore");
+}
 
-  const success = chunks[0].includes('<b>Bold text</b>') && parseMode === "HTML";
-  console.log('Test Passed:', success);
-  return success;
+// 6) A chunk that fails rejects sendMessage, with what was delivered on the error
+{
+  const bot = makeMockBot();
+  integrateTelegramPreprocessor(bot, FAST);
+  bot.fail(2);
+  const paragraphs = Array.from({ length: 60 }, (_, i) => `Paragraph ${i}: ${"word ".repeat(30)}`);
+  let threw = null;
+  try {
+    await bot.sendMessage(42, paragraphs.join("\n\n"), { channel: "telegram" });
+  } catch (err) {
+    threw = err;
+  }
+  assert(threw, "sendMessage rejects");
+  includes(threw.message, "chat not found", "the bot's error");
+  assert(threw.result?.chunks.length === 1, "the error holds the chunk that was delivered");
+  assert(bot.sent.length === 2, "no chunks after the failed one");
+
+  const other = makeMockBot();
+  integrateTelegramPreprocessor(other, FAST);
+  other.fail(1);
+  threw = null;
+  await other.sendMessage(1, "hi", { channel: "email" }).catch((err) => (threw = err));
+  includes(threw?.message ?? "", "chat not found", "other channels reject too");
+  console.log("✓ errors propagate");
 }
 
-/**
- * Test 5: Integration with Mock Bot
- */
-async function testIntegrationWithMockBot() {
-  // Mock bot for testing
-  const mockBot = {
-    sendMessage: async (chatId, message, opts) => {
-      console.log('Sending to', chatId);
-      console.log('Message:', message.substring(0, 100) + (message.length > 100 ? "..." : ""));
-      console.log('Options:', opts);
+// 7) Config: its options go over the adapter's defaults; chats it maps get their profile
+{
+  const config = createConfig(
+    {
+      defaults: { tableStyle: "cards" },
+      profiles: { plain: { style: "telegramPlain", stripMetadata: false } },
+      chats: { "-1001": "plain" },
     },
-  };
-
-  // Replace the default sendMessage function
-  const originalSendMessage = mockBot.sendMessage;
-
-  mockBot.sendMessage = async function(chatId, message, opts) {
-    if (opts && opts.channel === 'telegram') {
-      const { chunks, parseMode } = preprocess(message, {
-        style: "telegramHtml",
-        split: true,
-      });
-
-      // Hide metadata
-      const cleanedChunks = chunks.map(chunk => {
-        return chunk.replace(/\bmessage_id:\s*[^\s]+\b|\bsender_id:\s*[^\s]+\b/gi, "").trim();
-      });
-
-      // Send each chunk
-      for (const chunk of cleanedChunks) {
-        await this.sendMessage(chatId, chunk, { parse_mode: parseMode });
-      }
-    } else {
-      // Fall back to the original sendMessage for non-Telegram messages
-      await originalSendMessage.call(this, chatId, message, opts);
-    }
-  };
-
-  const message = `Here is a table:\n| A | B |\n|---|---|\n| 1 | 2 |\nMetadata: message_id: 12345, sender_id: 67890`;
-
-  console.log('\n=== Test 5: Integration with Mock Bot ===');
-  await mockBot.sendMessage('chatId', message, { channel: 'telegram' });
-
-  // Test with non-Telegram channel
-  await mockBot.sendMessage('email', 'Non-Telegram message', { channel: 'email' });
-
-  console.log('Test Passed: Check logs for processed output.');
-  return true;
+    { env: {} },
+  );
+  const bot = makeMockBot();
+  integrateTelegramPreprocessor(bot, { ...FAST, config });
+  await bot.sendMessage(42, TABLE, { channel: "telegram" });
+  await bot.sendMessage("-1001", TABLE, { channel: "telegram" });
+  const [dm, group] = bot.sent;
+  assert(dm.opts.parse_mode === "HTML", "default style without a profile");
+  notIncludes(dm.text, "message_id", "default stripMetadata");
+  notIncludes(dm.text, "• A: 1 · B: 2", "config tableStyle cards");
+  assert(group.opts.parse_mode === undefined, "mapped chat: its profile's style");
+  includes(group.text, "message_id: 12345", "mapped chat: its profile keeps metadata");
+
+  const direct = preprocessTelegramMessage(TABLE, { config, chatId: "-1001" });
+  assert(!direct.parseMode && direct.chunks[0].includes("message_id"), "preprocessTelegramMessage follows the config");
+  const defaults = preprocessTelegramMessage(TABLE, { channel: "telegram" });
+  assert(defaults.parseMode === "HTML", "preprocessTelegramMessage defaults to HTML");
+  notIncludes(defaults.chunks[0], "message_id", "and hides metadata");
+  console.log("✓ config");
 }
 
-// Run all tests
-(async () => {
-  const results = [
-    testTableConversion(),
-    testCodeBlockPreservation(),
-    testLongMessageChunking(),
-    testHtmlStyleConversion(),
-    await testIntegrationWithMockBot(),
-  ];
-
-  const allPassed = results.every(result => result);
-  console.log('\n=== Final Test Results ===');
-  console.log('All Tests Passed:', allPassed);
-  console.log('Summary:', results);
-
-  if (allPassed) {
-    console.log('\n✅ The Telegram Preprocessor is fully functional and ready for integration into OpenClaw!');
-  } else {
-    console.log('\n❌ Some tests failed. Please review the logs for details.');
-  }
-})();
\ No newline at end of file
+console.log("\nAll integration tests passed. ✅");
@@ -3,7 +3,9 @@
  * Run: node test-proxy.mjs
  */
 
-import { TelegramProxy, createProxy } from "./proxy.mjs";
+import { RateLimiter, TelegramProxy, createProxy } from "./proxy.mjs";
+import { createPreprocessor, preprocess } from "./index.mjs";
+import { createConfig } from "./config.mjs";
 
 function assert(cond, msg) {
   if (!cond) throw new Error(`FAIL: ${msg}`);
@@ -20,16 +22,37 @@ function notIncludes(str, sub, msg) {
 // Mock Telegram client
 function makeMockClient() {
   const sent = [];
+  const edits = [];
+  const messages = new Map(); // message_id → current text
+  const markups = new Map(); // message_id → current reply_markup
   return {
     sent,
+    edits,
+    messages,
     async sendMessage(chatId, text, options = {}) {
       sent.push({ chatId, text, options });
+      messages.set(sent.length, text);
+      markups.set(sent.length, options.reply_markup);
       return { message_id: sent.length, chat: { id: chatId }, text };
     },
+    async editMessageText(text, options = {}) {
+      const { message_id: id, reply_markup: markup } = options;
+      if (messages.get(id) === text && JSON.stringify(markups.get(id)) === JSON.stringify(markup)) {
+        throw new Error("Bad Request: message is not modified");
+      }
+      edits.push({ text, options });
+      messages.set(id, text);
+      markups.set(id, markup);
+      return true;
+    },
     async sendPhoto(chatId, photo, options = {}) {
       sent.push({ chatId, photo, options });
       return { message_id: sent.length };
     },
+    async sendDocument(chatId, document, options = {}, fileOptions = {}) {
+      sent.push({ chatId, document, options, fileOptions });
+      return { message_id: sent.length };
+    },
   };
 }
 
@@ -41,8 +64,8 @@ function makeMockClient() {
 |---|---|
 | Toyota | Japan |
 | BMW | Germany |`;
-  const responses = await bot.sendMessage(123, table);
-  assert(responses.length === 1, "one chunk for short table");
+  const result = await bot.sendMessage(123, table);
+  assert(result.chunks.length === 1, "one chunk for short table");
   includes(client.sent[0].text, "• Name: Toyota · Country: Japan", "table converted to bullets");
   notIncludes(client.sent[0].text, "|", "no pipes in output");
   console.log("✓ table converted to bullets before sending");
@@ -53,10 +76,10 @@ function makeMockClient() {
   const client = makeMockClient();
   const bot = new TelegramProxy(client, { chunkDelayMs: 0 });
   const longText = "word ".repeat(1000); // ~5000 chars
-  const responses = await bot.sendMessage(456, longText);
-  assert(responses.length >= 2, "long message chunked into multiple sends");
+  const { chunks } = await bot.sendMessage(456, longText);
+  assert(chunks.length >= 2, "long message chunked into multiple sends");
   assert(client.sent.length >= 2, "multiple sendMessage calls made");
-  console.log(`✓ long message split into ${responses.length} chunks`);
+  console.log(`✓ long message split into ${chunks.length} chunks`);
 }
 
 // 3) Non-text methods are proxied through untouched
@@ -78,7 +101,7 @@ function makeMockClient() {
   console.log("✓ HTML style sets parse_mode and converts markdown");
 }
 
-// 5) Disabled proxy passes message through unmodified
+// 5) Disabled proxy passes message through unmodified; raw() does so for one sender
 {
   const client = makeMockClient();
   const bot = new TelegramProxy(client);
@@ -86,6 +109,15 @@ function makeMockClient() {
   const table = `| A | B |\n|---|---|\n| 1 | 2 |`;
   await bot.sendMessage(202, table);
   includes(client.sent[0].text, "|", "raw table passed through when disabled");
+  bot.enable();
+
+  // raw(): one sender's view, the proxy stays on for the others
+  const raw = bot.raw();
+  await raw.sendMessage(202, table);
+  await bot.sendMessage(202, table);
+  assert(client.sent[1].text === table, "raw view sends the table as it is");
+  includes(client.sent[2].text, "• A: 1 · B: 2", "the proxy still preprocesses");
+  await raw.flush(202);
   console.log("✓ disabled proxy passes message through unmodified");
 }
 
@@ -93,8 +125,8 @@ function makeMockClient() {
 {
   const client = makeMockClient();
   const bot = createProxy(client, { chunkDelayMs: 0 });
-  const responses = await bot.sendMessage(303, "Hello, Telegram!");
-  assert(responses.length === 1, "factory creates working proxy");
+  const result = await bot.sendMessage(303, "Hello, Telegram!");
+  assert(result.chunks.length === 1, "factory creates working proxy");
   assert(client.sent[0].text === "Hello, Telegram!", "simple text unchanged");
   console.log("✓ createProxy factory works correctly");
 }
@@ -118,7 +150,574 @@ function makeMockClient() {
   notIncludes(client.sent[0].text, "sender_id", "sender_id stripped");
   includes(client.sent[0].text, "Hello", "content preserved");
   includes(client.sent[0].text, "World", "content preserved");
+
+  // Redaction happens before preprocessing, so entity offsets and drafts are unaffected
+  const entityClient = makeMockClient();
+  const redacting = new TelegramProxy(entityClient, {
+    style: "telegramEntities",
+    stripMetadata: true,
+    redact: ["emails"],
+    chunkDelayMs: 0,
+    draftIntervalMs: 0,
+    rateLimit: false,
+  });
+  const result = await redacting.sendMessage(506, "message_id: 1 Mail **bob@example.com** now");
+  const [bold] = entityClient.sent[0].options.entities;
+  assert(entityClient.sent[0].text === "Mail b•••@example.com now", `redacted text: ${entityClient.sent[0].text}`);
+  assert(entityClient.sent[0].text.slice(bold.offset, bold.offset + bold.length) === "b•••@example.com", "entity offsets fit");
+  assert(result.redactions.map((r) => r.rule).join() === "internalId,email", "redactions listed in the result");
+  const draft = redacting.draft(507);
+  await draft.write("Reach me at alice@example.com\n\n");
+  const drafted = await draft.end("sender_id: 9 done.");
+  assert(entityClient.sent.slice(1).every((m) => !m.text.includes("alice") && !m.text.includes("sender_id")), "drafts redacted");
+  assert(drafted.redactions.length === 2, "draft redactions listed once each");
   console.log("✓ stripMetadata removes metadata from chunks");
 }
 
+// 9) Entity style sends entities instead of parse_mode
+{
+  const client = makeMockClient();
+  const bot = new TelegramProxy(client, { style: "telegramEntities" });
+  await bot.sendMessage(606, "**Bold** and plain");
+  assert(client.sent[0].text === "Bold and plain", "markers removed");
+  assert(client.sent[0].options.parse_mode === undefined, "no parse_mode");
+  const [entity] = client.sent[0].options.entities;
+  assert(entity.type === "bold" && entity.offset === 0 && entity.length === 4, "bold entity passed");
+  console.log("✓ entity style passes entities instead of parse_mode");
+}
+
+// 10) codeBlockOverflow "document" sends the code via sendDocument after its notice
+{
+  const client = makeMockClient();
+  const bot = new TelegramProxy(client, { chunkDelayMs: 0, maxChunkLength: 200, codeBlockOverflow: "document" });
+  const code = "echo hi\n".repeat(60).trim();
+  const result = await bot.sendMessage(707, "Run this:\n\n```bash\n" + code + "\n```\n\nThen restart.", {
+    message_thread_id: 9,
+    reply_markup: { inline_keyboard: [] },
+  });
+  assert(result.chunks.length === 1 && result.documents.length === 1, "one message + one document");
+  assert(result.documents[0].afterChunk === 0 && result.documents[0].message_id === 2, "document recorded");
+  includes(client.sent[0].text, "snippet.sh", "notice names the file");
+  const doc = client.sent[1];
+  assert(doc.document.toString("utf8") === code, "document carries the code");
+  assert(doc.fileOptions.filename === "snippet.sh", "filename from language");
+  assert(doc.options.message_thread_id === 9, "thread carried over");
+  assert(doc.options.reply_markup === undefined, "message-only options not copied to the document");
+  console.log("✓ codeBlockOverflow document sent via sendDocument");
+}
+
+// 11) Drafts: the message grows in place, rolls over when full, and ends with the final text
+{
+  const client = makeMockClient();
+  const options = { style: "telegramHtml", maxChunkLength: 120 };
+  const bot = new TelegramProxy(client, { ...options, chunkDelayMs: 0, draftIntervalMs: 0, rateLimit: false });
+  const text = "# Report\n\nIntro with **bold** text.\n\n" + "A paragraph of several words.\n\n".repeat(10);
+  const draft = bot.draft(808, { message_thread_id: 3 });
+  for (let i = 0; i < text.length; i += 8) await draft.write(text.slice(i, i + 8));
+  const result = await draft.end();
+  const { chunks } = preprocess(text, options);
+  assert(result.chunks.length === chunks.length && result.responses.length === chunks.length, "one message per final chunk");
+  assert(client.sent.length === chunks.length, "rolled over instead of resending");
+  assert(client.edits.length > chunks.length, "messages were edited as text arrived");
+  result.chunks.forEach((c, i) => assert(client.messages.get(c.message_id) === chunks[i], `message ${i + 1} has its final text`));
+  assert(client.edits.every((e) => e.options.chat_id === 808 && e.options.parse_mode === "HTML"), "edits keep chat and parse_mode");
+  assert(client.sent[0].options.message_thread_id === 3, "message options on sends");
+  console.log("✓ draft edits in place, rolls over and finishes with the final text");
+}
+
+// 12) Drafts: throttled per chat; a failed edit falls back to append-only
+{
+  const client = makeMockClient();
+  const bot = new TelegramProxy(client, { chunkDelayMs: 0, draftIntervalMs: 60_000, rateLimit: false });
+  const draft = bot.draft(909);
+  await draft.write("Hello");
+  await draft.write(" world");
+  await draft.write(", again");
+  assert(client.sent.length === 1 && client.edits.length === 0, "first message right away, then throttled");
+  await draft.end();
+  assert(client.edits.length === 1 && client.messages.get(1) === "Hello world, again", "end() applies the final text");
+
+  const failing = makeMockClient();
+  failing.editMessageText = async () => {
+    throw new Error("Bad Request: message can't be edited");
+  };
+  const fallback = new TelegramProxy(failing, { chunkDelayMs: 0, draftIntervalMs: 0, maxChunkLength: 60, rateLimit: false });
+  const text = "First paragraph is here.\n\n" + "More words in a paragraph.\n\n".repeat(4);
+  const appendOnly = fallback.draft(910);
+  for (let i = 0; i < text.length; i += 10) await appendOnly.write(text.slice(i, i + 10));
+  const result = await appendOnly.end();
+  const { chunks } = preprocess(text, { maxChunkLength: 60 });
+  const tail = failing.sent.slice(-chunks.length).map((m) => m.text);
+  assert(JSON.stringify(tail) === JSON.stringify(chunks), "final chunks appended after the partial message");
+  assert(JSON.stringify(result.chunks.map((c) => c.text)) === JSON.stringify(chunks), "result lists the final chunks");
+  console.log("✓ draft throttling and append-only fallback");
+}
+
+// A client whose sendMessage fails as scripted: each entry is an error to throw, or null to succeed
+function makeScriptedClient(script) {
+  const client = makeMockClient();
+  const send = client.sendMessage;
+  client.calls = 0;
+  client.sendMessage = async (...args) => {
+    client.calls++;
+    const failure = script.shift();
+    if (failure) throw failure;
+    return send(...args);
+  };
+  return client;
+}
+
+// Error shapes: node-telegram-bot-api (response.body), grammY (error_code, parameters), network
+function apiError(status, parameters) {
+  return Object.assign(new Error(`ETELEGRAM: ${status}`), {
+    code: "ETELEGRAM",
+    response: { statusCode: status, body: { ok: false, error_code: status, parameters } },
+  });
+}
+
+// 13) Retries: retry_after on 429, backoff on 5xx and network errors, none on 400/403
+{
+  const retry = { baseDelayMs: 5 };
+  const networkError = Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+  const grammy429 = Object.assign(new Error("Too Many Requests"), { error_code: 429, parameters: { retry_after: 1 } });
+  const client = makeScriptedClient([grammy429, apiError(502), networkError]);
+  const bot = new TelegramProxy(client, { chunkDelayMs: 0, retry, rateLimit: false });
+  const started = Date.now();
+  const result = await bot.sendMessage(1, "Hello");
+  assert(client.calls === 4 && result.responses.length === 1, "delivered on the fourth attempt");
+  assert(result.retries === 3 && result.chunks[0].retries === 3, "retries counted");
+  assert(Date.now() - started >= 1000, "waited retry_after seconds");
+
+  for (const status of [400, 403]) {
+    const rejecting = makeScriptedClient([apiError(status)]);
+    const strict = new TelegramProxy(rejecting, { chunkDelayMs: 0, retry, rateLimit: false });
+    let error;
+    await strict.sendMessage(1, "Hello").catch((err) => (error = err));
+    assert(error && rejecting.calls === 1, `${status} is not retried`);
+  }
+
+  const flaky = makeScriptedClient([null, apiError(500), apiError(500)]);
+  const limited = new TelegramProxy(flaky, { chunkDelayMs: 0, retry: { ...retry, retries: 1 }, rateLimit: false, maxChunkLength: 50 });
+  let error;
+  await limited.sendMessage(1, "word ".repeat(30)).catch((err) => (error = err));
+  assert(error && flaky.calls === 3, "gives up after the configured retries");
+  assert(error.result.chunks.length === 1 && error.responses.length === 1, "the error carries what was already delivered");
+  console.log("✓ retry policy for 429, 5xx, network and client errors");
+}
+
+// 14) Token buckets: per-chat and global limits, shared across proxies and concurrent sends
+{
+  const limiter = new RateLimiter({ perChat: 10, global: 1000 });
+  const client = makeMockClient();
+  const a = new TelegramProxy(client, { chunkDelayMs: 0, rateLimit: limiter });
+  const b = new TelegramProxy(client, { chunkDelayMs: 0, rateLimit: limiter });
+  let started = Date.now();
+  await Promise.all([a.sendMessage(1, "one"), b.sendMessage(1, "two"), a.sendMessage(1, "three"), b.sendMessage(2, "other chat")]);
+  const elapsed = Date.now() - started;
+  assert(elapsed >= 195 && elapsed < 900, `three sends to one chat take two intervals (${elapsed}ms)`);
+
+  const global = new RateLimiter({ perChat: 1, global: 20 });
+  started = Date.now();
+  await Promise.all(Array.from({ length: 25 }, (_, chat) => global.acquire(chat)));
+  assert(Date.now() - started >= 245, "the 21st to 25th calls wait for the global bucket");
+  console.log("✓ per-chat and global rate limits");
+}
+
+// 15) A chunk Telegram can't parse is resent as plain text, and the fallback recorded
+{
+  const parseError = apiError(400);
+  parseError.response.body.description = "Bad Request: can't parse entities: Unsupported start tag \"x\" at byte offset 3";
+  const client = makeScriptedClient([null, parseError]);
+  const bot = new TelegramProxy(client, { style: "telegramHtml", chunkDelayMs: 0, rateLimit: false, maxChunkLength: 50 });
+  const text = "First **chunk** of the reply.\n\nSecond chunk with [a link](https://e.com) & more.";
+  const result = await bot.sendMessage(1, text, { message_thread_id: 5 });
+  assert(result.chunks.length === 2 && client.sent.length === 2, "both chunks delivered");
+  const resent = client.sent[1];
+  assert(resent.text === "Second chunk with a link (https://e.com) & more.", `plain resend: ${resent.text}`);
+  assert(resent.options.parse_mode === undefined && resent.options.message_thread_id === 5, "no parse_mode, other options kept");
+  assert(result.fallbacks.length === 1 && result.fallbacks[0].chunk === 1, "fallback recorded");
+  includes(result.fallbacks[0].reason, "can't parse entities", "reason recorded");
+  assert(result.chunks[1].text === resent.text && result.chunks[1].parse_mode === undefined, "result has the text as sent");
+
+  // A plain form with its URLs would pass maxChunkLength: the labels only
+  const links = makeScriptedClient([parseError]);
+  const linked = Array.from({ length: 4 }, (_, i) => `[docs ${i}](https://example.com/a/long/path/${i})`).join(" ");
+  await new TelegramProxy(links, { style: "telegramHtml", rateLimit: false, maxChunkLength: 40 }).sendMessage(1, linked);
+  assert(links.sent[0].text === "docs 0 docs 1 docs 2 docs 3", `URLs dropped to fit: ${links.sent[0].text}`);
+
+  // The library's own MarkdownV2 falls back too
+  const v2 = makeScriptedClient([parseError]);
+  const v2Result = await new TelegramProxy(v2, { style: "telegramMarkdownV2", rateLimit: false }).sendMessage(1, "**Done** (1.5) see [docs](https://e.com) `a_b`");
+  assert(v2.sent[0].text === "Done (1.5) see docs a_b" && v2.sent[0].options.parse_mode === undefined, `MarkdownV2 plain resend: ${v2.sent[0].text}`);
+  assert(v2Result.fallbacks.length === 1, "MarkdownV2 fallback recorded");
+
+  const strict = makeScriptedClient([apiError(400)]);
+  let error;
+  await new TelegramProxy(strict, { style: "telegramHtml", rateLimit: false }).sendMessage(1, "**x**").catch((err) => (error = err));
+  assert(error && strict.calls === 1, "other 400s are not downgraded");
+  console.log("✓ parse errors fall back to plain text");
+}
+
+// A client whose sends take a while, so concurrent messages overlap
+function makeSlowClient(ms) {
+  const client = makeMockClient();
+  const send = client.sendMessage;
+  client.sendMessage = async (...args) => {
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    return send(...args);
+  };
+  return client;
+}
+
+// 16) Concurrent replies to one chat don't interleave; other chats send in parallel
+{
+  const client = makeSlowClient(5);
+  const bot = new TelegramProxy(client, { chunkDelayMs: 0, rateLimit: false, maxChunkLength: 30 });
+  const reply = (tag) => Array.from({ length: 3 }, (_, i) => `${tag} part ${i + 1} of the reply.`).join("\n\n");
+  await Promise.all([bot.sendMessage(1, reply("A")), bot.sendMessage(1, reply("B")), bot.sendMessage(2, reply("C"))]);
+  const chat1 = client.sent.filter((m) => m.chatId === 1).map((m) => m.text[0]).join("");
+  assert(chat1 === "AAABBB", `chunks of one message stay together, in order (${chat1})`);
+  const firstC = client.sent.findIndex((m) => m.chatId === 2);
+  assert(firstC < 3, "the other chat does not wait for chat 1");
+  console.log("✓ per-chat FIFO queue");
+}
+
+// 17) Queue depth: reject, dropOldest or merge when full; flush() waits for the queue
+{
+  const run = async (queueOverflow) => {
+    const client = makeSlowClient(10);
+    const bot = new TelegramProxy(client, { chunkDelayMs: 0, rateLimit: false, maxQueueDepth: 1, queueOverflow });
+    const results = [bot.sendMessage(1, "first"), bot.sendMessage(1, "second"), bot.sendMessage(1, "third")].map((p) =>
+      p.then(
+        (result) => result.chunks.map((c) => c.text).join("|"),
+        (err) => err.code,
+      ),
+    );
+    await bot.flush(1);
+    assert(client.sent.length === 2, "flush waits for the queue to empty");
+    return Promise.all(results);
+  };
+  assert((await run("reject")).join() === "first,second,QUEUE_FULL", "reject the new message");
+  assert((await run("dropOldest")).join() === "first,QUEUE_DROPPED,third", "drop the oldest waiting message");
+  assert((await run("merge")).join() === "first,second\n\nthird,second\n\nthird", "merge into the waiting message");
+  console.log("✓ queue overflow modes and flush");
+}
+
+// 18) Chunk policy: keyboard on the last chunk, reply and preview on the first, later chunks silent
+{
+  const client = makeMockClient();
+  const bot = new TelegramProxy(client, { chunkDelayMs: 0, rateLimit: false, maxChunkLength: 40 });
+  const text = "See https://example.com for details.\n\nSecond part of the reply.\n\nThird and last part.";
+  const options = {
+    reply_markup: { inline_keyboard: [[{ text: "OK", callback_data: "ok" }]] },
+    reply_parameters: { message_id: 42 },
+    link_preview_options: { prefer_small_media: true },
+    message_thread_id: 7,
+  };
+  await bot.sendMessage(1, text, options);
+  const [first, middle, last] = client.sent.map((m) => m.options);
+  assert(client.sent.length === 3, "three chunks");
+  assert(!first.reply_markup && !middle.reply_markup && last.reply_markup === options.reply_markup, "keyboard on the last chunk only");
+  assert(first.reply_parameters?.message_id === 42 && !middle.reply_parameters && !last.reply_parameters, "reply reference on the first only");
+  assert(first.link_preview_options.prefer_small_media && middle.link_preview_options.is_disabled && last.link_preview_options.is_disabled, "preview on the first only");
+  assert(!first.disable_notification && middle.disable_notification && last.disable_notification, "only the first chunk notifies");
+  assert(client.sent.every((m) => m.options.message_thread_id === 7), "other options on every chunk");
+
+  client.sent.length = 0;
+  await bot.sendMessage(1, text, options, { chunkPolicy: { replyMarkup: "all", linkPreview: "none", notification: "all" } });
+  assert(client.sent.every((m) => m.options.reply_markup && m.options.link_preview_options.is_disabled), "per-call override");
+  assert(client.sent.every((m) => !m.options.disable_notification), "every chunk notifies");
+
+  let threw = "";
+  await bot.sendMessage(1, text, {}, { chunkPolicy: { replyMarkup: "middle" } }).catch((err) => (threw = err.message));
+  includes(threw, "chunkPolicy.replyMarkup must be one of", "unknown position rejects");
+  console.log("✓ chunk policy for keyboards, replies, previews and notifications");
+}
+
+// 19) Structured results; editLogical re-chunks a sent message in place, deleteLogical removes it
+{
+  const client = makeMockClient();
+  client.deleted = [];
+  client.deleteMessage = async (chatId, messageId) => {
+    client.deleted.push(messageId);
+    client.messages.delete(messageId);
+    return true;
+  };
+  const bot = new TelegramProxy(client, { style: "telegramHtml", chunkDelayMs: 0, rateLimit: false, maxChunkLength: 40 });
+  const keyboard = { inline_keyboard: [[{ text: "OK", callback_data: "ok" }]] };
+  const para = (n) => Array.from({ length: n }, (_, i) => `Paragraph number ${i + 1} is **here**.`).join("\n\n");
+  const sent = await bot.sendMessage(1, para(2), { reply_markup: keyboard });
+  assert(typeof sent.id === "string" && sent.chatId === 1 && sent.retries === 0, "id, chat and retries");
+  assert(sent.chunks.length === 2 && sent.chunks.every((c) => c.parse_mode === "HTML"), "parse_mode per chunk");
+  assert(sent.chunks[0].text === client.sent[0].text && sent.chunks[1].message_id === 2, "text and message_id per chunk");
+  assert(sent.chunks[1].reply_markup === keyboard && !sent.chunks[0].reply_markup, "keyboard recorded where it went");
+
+  const grown = await bot.editLogical(sent.id, para(3));
+  assert(grown.id === sent.id && grown.chunks.length === 3 && client.sent.length === 3, "extra chunk sent as a new message");
+  assert(client.edits.length === 1 && client.edits[0].options.message_id === 2, "only the changed message edited");
+  assert(!client.edits[0].options.reply_markup && client.sent[2].options.reply_markup === keyboard, "keyboard moved to the new last chunk");
+  const texts = () => grown.chunks.map((c) => client.messages.get(c.message_id));
+  assert(JSON.stringify(texts()) === JSON.stringify(preprocess(para(3), { style: "telegramHtml", maxChunkLength: 40 }).chunks), "messages hold the new chunks");
+
+  const shrunk = await bot.editLogical(sent.id, "Just **one** line now.");
+  assert(shrunk.chunks.length === 1 && client.deleted.join() === "3,2", "surplus messages deleted");
+  assert(client.messages.get(1) === "Just <b>one</b> line now.", "first message edited in place");
+  assert((await bot.deleteLogical(sent.id)) === 1 && client.messages.size === 0, "deleteLogical removes every message");
+  let error;
+  await bot.editLogical(sent.id, "again").catch((err) => (error = err));
+  includes(String(error?.message), "unknown logical message", "forgotten after delete");
+
+  const raw = await bot.sendMessage(1, "**as is**", {}, { enabled: false });
+  assert(raw.chunks[0].text === "**as is**" && bot._options.enabled, "per-call passthrough leaves the proxy enabled");
+  console.log("✓ structured results, editLogical and deleteLogical");
+}
+
+// 20) Captions: preprocessed, overflow past 1024 sent as text messages, edits and albums too
+{
+  const client = makeMockClient();
+  client.editMessageCaption = async (caption, options = {}) => {
+    client.edits.push({ caption, options });
+    return { message_id: options.message_id };
+  };
+  client.sendMediaGroup = async (chatId, media, options = {}) => {
+    client.sent.push({ chatId, media, options });
+    return media.map((_, i) => ({ message_id: client.sent.length * 10 + i }));
+  };
+  const bot = new TelegramProxy(client, { style: "telegramHtml", chunkDelayMs: 0, rateLimit: false });
+  const keyboard = { inline_keyboard: [[{ text: "OK", callback_data: "ok" }]] };
+  const table = "| Car | Country |\n|---|---|\n| Toyota | Japan |";
+
+  const short = await bot.sendPhoto(1, "photo.jpg", { caption: `**Cars**\n\n${table}`, reply_markup: keyboard });
+  const photo = client.sent[0];
+  assert(photo.photo === "photo.jpg" && photo.options.parse_mode === "HTML", "caption formatted as HTML");
+  includes(photo.options.caption, "<b>Cars</b>", "markdown converted");
+  notIncludes(photo.options.caption, "|---|", "table converted");
+  assert(photo.options.reply_markup === keyboard && short.chunks.length === 1 && short.chunks[0].caption, "one captioned chunk");
+
+  const long = "A sentence of the caption that goes on. ".repeat(40);
+  const result = await bot.sendPhoto(1, "photo.jpg", { caption: long, reply_markup: keyboard, message_thread_id: 4 });
+  const [media, rest] = client.sent.slice(1);
+  assert(result.chunks.length === 2 && media.options.caption.length <= 1024, "caption cut to 1024");
+  assert(rest.text && rest.options.message_thread_id === 4 && rest.options.disable_notification, "the rest follows as a silent message");
+  assert(!media.options.reply_markup && rest.options.reply_markup === keyboard, "keyboard on the last message");
+  assert(media.options.link_preview_options === undefined, "no message-only options on the media");
+
+  const raw = await bot.sendPhoto(1, "photo.jpg");
+  assert(raw.message_id === 4, "no caption: the client's response");
+
+  const edited = await bot.editMessageCaption("Now **bold**", { chat_id: 1, message_id: 1 });
+  assert(client.edits[0].caption === "Now <b>bold</b>" && client.edits[0].options.parse_mode === "HTML", "edited caption formatted");
+  assert(edited.chunks[0].message_id === 1 && edited.chunks[0].caption, "edit result");
+
+  const album = await bot.sendMediaGroup(2, [
+    { type: "photo", media: "a.jpg", caption: "**First** photo" },
+    { type: "photo", media: "b.jpg" },
+  ]);
+  const group = client.sent[client.sent.length - 1];
+  assert(group.media[0].caption === "<b>First</b> photo" && group.media[0].parse_mode === "HTML", "album caption formatted");
+  assert(group.media[1].caption === undefined && album.chunks.length === 2 && album.id === undefined, "one chunk per item");
+  console.log("✓ captions, caption overflow, editMessageCaption and albums");
+}
+
+// 21) A custom preprocessor: its stages run for messages and drafts
+{
+  const client = makeMockClient();
+  const shortcodes = { name: "shortcodes", phase: "source", transform: (md) => md.replaceAll(":ok:", "✅") };
+  const preprocessor = createPreprocessor({ stages: ["fence", "redact", shortcodes, "whitespace", "tables", "render", "chunk"] });
+  const bot = new TelegramProxy(client, { preprocessor, chunkDelayMs: 0, draftIntervalMs: 0, rateLimit: false });
+  await bot.sendMessage(1, "Deployed :ok: with `:ok:`");
+  assert(client.sent[0].text === "Deployed ✅ with `:ok:`", "stage applied, code left alone");
+  const draft = bot.draft(2);
+  await draft.write("Tests :o");
+  await draft.end("k:");
+  assert(client.messages.get(2) === "Tests ✅", "draft runs the stages");
+  console.log("✓ custom preprocessor");
+}
+
+// 22) Config: the proxy's profile, a chat mapped to another one, options in code on top
+{
+  const client = makeMockClient();
+  const config = createConfig(
+    {
+      defaults: { style: "telegramHtml" },
+      profiles: { owner: { tableStyle: "cards" }, group: { tableStyle: "monospace", redact: ["internalIds"] } },
+      chats: { "-100": "group" },
+    },
+    { env: {} },
+  );
+  const bot = new TelegramProxy(client, { config, profile: "owner", chunkDelayMs: 0, rateLimit: false, maxChunkLength: 20 });
+  const table = "| a | b |\n|---|---|\n| 1 | 2 |\n\nmessage_id: 9\n\nThat was the table.";
+  const toOwner = await bot.sendMessage(5, table);
+  const toGroup = await bot.sendMessage(-100, table);
+  const owner = toOwner.chunks.map((c) => c.text).join("\n");
+  const group = toGroup.chunks.map((c) => c.text).join("\n");
+  assert(toOwner.chunks[0].parse_mode === "HTML" && owner.includes("<b>1</b>") && owner.includes("message_id"), "owner profile");
+  assert(group.includes("<pre>") && !group.includes("message_id"), "the group's profile");
+  assert(toGroup.chunks.length > 1, "options given in code still apply");
+  console.log("✓ config profiles per chat");
+}
+
+// 23) Recipient policy: groups get compact tables, no metadata and quiet follow-ups; the owner everything
+{
+  const client = makeMockClient();
+  const seen = [];
+  const recipientPolicy = (recipient) => {
+    seen.push(recipient);
+    if (recipient.chatType === "private") return recipient.userId === 42 ? { tableStyle: "cards" } : undefined;
+    return { tableStyle: "monospace", stripMetadata: true, maxChunkLength: 40, chunkPolicy: { notification: "none" } };
+  };
+  const bot = new TelegramProxy(client, { style: "telegramHtml", recipientPolicy, chunkDelayMs: 0, draftIntervalMs: 0, rateLimit: false });
+  const text = "| a | b |\n|---|---|\n| 1 | 2 |\n\nmessage_id: 9\n\nThat was the table, in a few more words.";
+  const owner = await bot.sendMessage(42, text, {}, { recipient: { userId: 42, languageCode: "de" } });
+  const group = await bot.sendMessage(-100500, text);
+  const ownerText = owner.chunks.map((c) => c.text).join("\n");
+  assert(owner.chunks.length === 1 && ownerText.includes("<b>1</b>") && ownerText.includes("message_id"), "owner: full detail");
+  assert(group.chunks[0].text.includes("<pre>") && !group.chunks.some((c) => c.text.includes("message_id")), "group: grid, metadata stripped");
+  assert(group.chunks.length > 1 && group.chunks.every((c) => c.response && client.sent.find((m) => m.text === c.text).options.disable_notification), "group: silent");
+  assert(seen[0].languageCode === "de" && seen[0].chatType === "private" && seen[1].chatType === "supergroup", "recipient passed to the policy");
+
+  await bot.editLogical(group.id, "Now:\n\n" + text);
+  assert(client.edits.every((e) => !e.text.includes("message_id")), "edits keep the recipient's format");
+  const draft = bot.draft(-7, {}, { recipient: { chatType: "group" } });
+  await draft.write("message_id: 3 Hello");
+  const drafted = await draft.end();
+  assert(drafted.chunks[0].text === "Hello", "drafts too");
+
+  let threw = "";
+  try {
+    await new TelegramProxy(client, { recipientPolicy: () => ({ retry: false }) }).sendMessage(1, "x");
+  } catch (err) {
+    threw = err.message;
+  }
+  includes(threw, 'recipientPolicy can\'t set "retry"', "only formatting options per recipient");
+
+  // Lookup errors reject, so .catch() sees them
+  const failing = new TelegramProxy(client, {
+    recipientPolicy: () => {
+      throw new Error("policy lookup failed");
+    },
+  });
+  const rejects = async (call) => {
+    let promise;
+    try {
+      promise = call();
+    } catch (err) {
+      return `sync: ${err.message}`;
+    }
+    return promise.then(() => "resolved", (err) => err.message);
+  };
+  includes(await rejects(() => failing.sendMessage(1, "x")), "policy lookup failed", "sendMessage rejects");
+  includes(await rejects(() => failing.sendPhoto(1, "photo", { caption: "x" })), "policy lookup failed", "captions reject");
+  includes(await rejects(() => failing.sendMediaGroup(1, [])), "policy lookup failed", "albums reject");
+  includes(await rejects(() => failing.draft(1).write("x")), "policy lookup failed", "drafts reject on write");
+  const unknown = () => bot.sendMessage(1, "x", {}, { recipient: { chatType: "forum" } });
+  includes(await rejects(unknown), 'unknown chatType "forum"', "an unknown chatType rejects");
+  console.log("✓ recipient policy");
+}
+
+// 24) Drafts follow the chunk policy: reply and notification on the first message, keyboard on the final last one
+{
+  const client = makeMockClient();
+  const bot = new TelegramProxy(client, { maxChunkLength: 60, chunkDelayMs: 0, draftIntervalMs: 0, rateLimit: false });
+  const keyboard = { inline_keyboard: [[{ text: "OK", callback_data: "ok" }]] };
+  const draft = bot.draft(606, { reply_markup: keyboard, reply_parameters: { message_id: 9 } });
+  const text = "First paragraph is here.\n\n" + "More words in a paragraph.\n\n".repeat(4);
+  for (let i = 0; i < text.length; i += 10) await draft.write(text.slice(i, i + 10));
+  const result = await draft.end();
+  assert(client.sent.length > 1 && result.chunks.length === client.sent.length, "several messages");
+  assert(client.sent[0].options.reply_parameters?.message_id === 9, "the first message replies");
+  assert(client.sent.slice(1).every((m) => !m.options.reply_parameters), "the others don't");
+  assert(!client.sent[0].options.disable_notification, "the first message notifies");
+  assert(client.sent.slice(1).every((m) => m.options.disable_notification), "the others are silent");
+  assert(client.sent.every((m) => !m.options.reply_markup), "no keyboard while the text is incomplete");
+  const last = result.chunks[result.chunks.length - 1];
+  const keyed = client.edits.filter((e) => e.options.reply_markup);
+  assert(keyed.length === 1 && keyed[0].options.message_id === last.message_id, "the keyboard comes with the last message's final text");
+  assert(JSON.stringify(last.reply_markup) === JSON.stringify(keyboard), "and is in the send result");
+  console.log("✓ draft chunk policy");
+}
+
+// 25) A draft holds the chat's queue until end(): a message sent meanwhile follows all of its messages
+{
+  const client = makeMockClient();
+  const bot = new TelegramProxy(client, { maxChunkLength: 60, chunkDelayMs: 0, draftIntervalMs: 0, rateLimit: false });
+  const draft = bot.draft(707);
+  const text = "First paragraph is here.\n\n" + "More words in a paragraph.\n\n".repeat(4);
+  await draft.write(text.slice(0, 30));
+  const other = bot.sendMessage(707, "In between?");
+  let flushed = false;
+  const flushing = bot.flush(707).then(() => (flushed = true));
+  for (let i = 30; i < text.length; i += 10) await draft.write(text.slice(i, i + 10));
+  assert(!flushed, "flush() waits for the draft");
+  const drafted = await draft.end();
+  await other;
+  await flushing;
+  assert(drafted.chunks.length > 1, "the draft ran to several messages");
+  const order = client.sent.map((m) => m.text);
+  assert(order.indexOf("In between?") === order.length - 1, "the message comes after every draft message");
+
+  const full = new TelegramProxy(makeMockClient(), { maxQueueDepth: 1, chunkDelayMs: 0, draftIntervalMs: 0, rateLimit: false });
+  const first = full.draft(1);
+  await first.write("Holding");
+  const waiting = full.sendMessage(1, "Waiting");
+  let threw = null;
+  await full.draft(1).write("No room").catch((err) => (threw = err));
+  assert(threw?.code === "QUEUE_FULL", "a draft the queue has no room for rejects");
+  await first.end();
+  await waiting;
+  console.log("✓ drafts queue with messages");
+}
+
+// 26) Drafts: messages left over from a longer preview are deleted; one that can't be is left out of the result
+{
+  // Until its first row arrives the table is two lines of text; then it is one short bullet
+  const text = "Intro line here.\n\n| Name | Value |\n|------|-------|\n| a | 1 |";
+  const options = { maxChunkLength: 40, chunkDelayMs: 0, draftIntervalMs: 0, rateLimit: false, retry: false };
+  const [final] = preprocess(text, { maxChunkLength: 40 }).chunks;
+  const run = async (client) => {
+    const draft = new TelegramProxy(client, options).draft(404);
+    for (let i = 0; i < text.length; i++) await draft.write(text[i]);
+    return draft.end();
+  };
+
+  const client = makeMockClient();
+  const deleted = [];
+  client.deleteMessage = async (chatId, messageId) => {
+    deleted.push(messageId);
+    return true;
+  };
+  const result = await run(client);
+  assert(client.sent.length === 2 && client.edits.some((e) => e.options.message_id === 2), "the preview ran to two messages, both edited");
+  assert(deleted.length === 1 && deleted[0] === 2, "the extra message deleted");
+  assert(result.chunks.length === 1 && client.messages.get(1) === final, "the final text in the first message");
+  assert(result.responses.length === 1 && result.responses[0].message_id === 1, "only the kept message's send response");
+
+  for (const deleteMessage of [undefined, async () => Promise.reject(new Error("Bad Request: message can't be deleted"))]) {
+    const stuck = makeMockClient();
+    if (deleteMessage) stuck.deleteMessage = deleteMessage;
+    const appended = await run(stuck);
+    assert(stuck.sent.length === 2 && stuck.messages.get(1) === final, "nothing appended: the first message is final");
+    assert(appended.chunks.length === 1 && appended.chunks[0].message_id === 1, "the leftover isn't part of the result");
+    assert(appended.responses.length === 2, "its send response is still listed");
+  }
+  console.log("✓ draft deletes or appends past a longer preview");
+}
+
+// 27) Draft previews only process the text that isn't final yet
+{
+  const client = makeMockClient();
+  let seen = 0;
+  const count = { name: "count", phase: "source", transform: (md) => ((seen += md.length), md) };
+  const preprocessor = createPreprocessor({ stages: [count, "tables", "render", "chunk"] });
+  const bot = new TelegramProxy(client, { preprocessor, maxChunkLength: 200, chunkDelayMs: 0, draftIntervalMs: 0, rateLimit: false });
+  const text = Array.from({ length: 100 }, (_, i) => `Paragraph ${i} of the answer.`).join("\n\n");
+  const draft = bot.draft(303);
+  for (let i = 0; i < text.length; i += 5) await draft.write(text.slice(i, i + 5));
+  const result = await draft.end();
+  const { chunks } = preprocessor.preprocess(text, { maxChunkLength: 200 });
+  assert(result.chunks.map((c) => c.text).join() === chunks.join(), "the final text as preprocess() gives it");
+  assert(seen < text.length * 20, `work grows with the text, not with the writes (${seen} characters for ${text.length})`);
+  console.log("✓ incremental draft previews");
+}
+
 console.log("\nAll proxy tests passed. ✅");
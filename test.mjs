@@ -3,8 +3,13 @@
  * Run: npm test  or  node test.mjs
  */
 
-import { preprocess } from "./index.mjs";
+import { createPreprocessor, createStreamingPreprocessor, htmlToPlain, markdownV2ToPlain, preprocess, redact } from "./index.mjs";
+import { createConfig, loadConfig } from "./config.mjs";
+import { spawnSync } from "node:child_process";
 import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
 
 function assert(cond, msg) {
   if (!cond) throw new Error(msg);
@@ -18,6 +23,21 @@ function includes(str, sub, msg) {
   if (!str.includes(sub)) throw new Error(`${msg}\n  string: ${JSON.stringify(str)}\n  missing: ${JSON.stringify(sub)}`);
 }
 
+// Every chunk must be well-formed HTML on its own: tags closed in reverse order of opening
+function assertBalancedHtml(html, msg) {
+  const stack = [];
+  for (const [, closing, name] of html.matchAll(/<(\/?)([a-z-]+)[^>]*>/g)) {
+    if (!closing) stack.push(name);
+    else if (stack.pop() !== name) throw new Error(`${msg}: unbalanced </${name}> in ${JSON.stringify(html)}`);
+  }
+  if (stack.length) throw new Error(`${msg}: unclosed <${stack.join("><")}> in ${JSON.stringify(html)}`);
+}
+
+// Length Telegram counts for an HTML chunk: the text left after parsing tags and entities
+function htmlTextLength(html) {
+  return html.replace(/<[^>]*>/g, "").replace(/&(lt|gt|amp|quot);/g, "_").length;
+}
+
 function notIncludes(str, sub, msg) {
   if (str.includes(sub)) throw new Error(`${msg}\n  string: ${JSON.stringify(str)}\n  should not contain: ${JSON.stringify(sub)}`);
 }
@@ -127,4 +147,785 @@ no separator here`;
   console.log("✓ fenced block restored as <pre><code> in HTML mode");
 }
 
-console.log("\nAll 8 tests passed.");
+// 9) MarkdownV2 style escapes reserved characters outside entities
+{
+  const input = "Price (USD): 1.5 + tax = 2! #deal";
+  const { chunks, parseMode } = preprocess(input, { style: "telegramMarkdownV2", split: false });
+  eq(parseMode, "MarkdownV2", "parseMode MarkdownV2");
+  eq(chunks[0], "Price \\(USD\\): 1\\.5 \\+ tax \\= 2\\! \\#deal", "all reserved characters escaped");
+  console.log("✓ MarkdownV2 escapes reserved characters");
+}
+
+// 10) MarkdownV2 converts bold/italic/code/links and keeps foo_bar_baz literal
+{
+  const input = "## Title\n**Bold** and _italic_ and `a_b.c` and [docs](https://example.com/a.b) foo_bar_baz";
+  const { chunks } = preprocess(input, { style: "telegramMarkdownV2", split: false });
+  includes(chunks[0], "*Title*", "heading bolded");
+  includes(chunks[0], "*Bold*", "bold converted");
+  includes(chunks[0], "_italic_", "italic converted");
+  includes(chunks[0], "`a_b.c`", "code content not escaped beyond ` and \\");
+  includes(chunks[0], "[docs](https://example.com/a.b)", "link converted");
+  includes(chunks[0], "foo\\_bar\\_baz", "intraword underscores escaped, not italic");
+  console.log("✓ MarkdownV2 converts bold/italic/code/links");
+}
+
+// 11) MarkdownV2 fenced block only escapes ` and \
+{
+  const input = "Run:\n```sh\necho `date` \\ (ok)\n```";
+  const { chunks } = preprocess(input, { style: "telegramMarkdownV2", split: false });
+  includes(chunks[0], "```sh\necho \\`date\\` \\\\ (ok)\n```", "pre block escaped for code context");
+  const fenced = (md) => preprocess(md, { style: "telegramMarkdownV2" }).chunks[0];
+  eq(fenced("~~~ a`b\nx\n~~~"), "```\nx\n```", "a language MarkdownV2 can't hold is left out");
+  eq(fenced("```c++\nx\n```"), "```c++\nx\n```", "a plain language name is kept");
+  console.log("✓ MarkdownV2 fenced block escaped for code context");
+}
+
+// 12) Chunks never end on a lone backslash (escape kept with its character)
+{
+  const input = "a".repeat(95) + " \\*literal\\* tail";
+  const { chunks } = preprocess(input, { style: "telegramMarkdownV2", maxChunkLength: 100 });
+  assert(chunks.length === 2, "split into two chunks");
+  chunks.forEach((c) => assert(!/(^|[^\\])(\\\\)*\\$/.test(c), `chunk ends on lone backslash: ${JSON.stringify(c)}`));
+  includes(chunks[1], "\\*literal\\*", "escaped asterisks kept literal");
+  console.log("✓ chunks never end on a lone backslash");
+}
+
+// 13) Entity style returns plain text + entities with UTF-16 offsets
+{
+  const input = "## Hi 👋\n**bold** _it_ `code` [link](https://example.com)\n> quoted\n```js\nlet x;\n```";
+  const { chunks, parseMode, entities } = preprocess(input, { style: "telegramEntities", split: false });
+  eq(parseMode, null, "no parse_mode");
+  eq(chunks[0], "Hi 👋\nbold it code link\nquoted\nlet x;", "markers removed from text");
+  const byType = Object.fromEntries(entities[0].map((e) => [e.type + (e.offset === 0 ? ":h" : ""), e]));
+  eq(byType["bold:h"].length, 5, "heading bold counts the emoji as two UTF-16 units");
+  eq(chunks[0].substr(byType.bold.offset, byType.bold.length), "bold", "bold offset");
+  eq(chunks[0].substr(byType.italic.offset, byType.italic.length), "it", "italic offset");
+  eq(chunks[0].substr(byType.code.offset, byType.code.length), "code", "code offset");
+  eq(byType.text_link.url, "https://example.com", "text_link url");
+  eq(chunks[0].substr(byType.blockquote.offset, byType.blockquote.length), "quoted", "blockquote offset");
+  eq(byType.pre.language, "js", "pre language");
+  eq(chunks[0].substr(byType.pre.offset, byType.pre.length), "let x;", "pre offset");
+  console.log("✓ entity style returns text + UTF-16 entities");
+}
+
+// 14) Entities are clipped and re-based when a chunk is cut
+{
+  const input = "intro\n\n```\n" + "line of code\n".repeat(20) + "```\n\n**tail**";
+  const { chunks, entities } = preprocess(input, { style: "telegramEntities", maxChunkLength: 100 });
+  assert(chunks.length >= 3, "split into several chunks");
+  entities.forEach((list, i) => {
+    list.forEach((e) => {
+      assert(e.offset >= 0 && e.offset + e.length <= chunks[i].length, `entity inside chunk ${i}`);
+    });
+  });
+  const pres = entities.flat().filter((e) => e.type === "pre");
+  assert(pres.length >= 2, "pre entity continues into the next chunk");
+  const last = chunks.length - 1;
+  const bold = entities[last].find((e) => e.type === "bold");
+  eq(chunks[last].substr(bold.offset, bold.length), "tail", "bold re-based in last chunk");
+  console.log("✓ entities clipped and re-based across chunks");
+}
+
+// 15) Nested emphasis renders nested tags
+{
+  const input = "**bold *nested* text** and *em **strong** em*";
+  const { chunks } = preprocess(input, { style: "telegramHtml", split: false });
+  eq(chunks[0], "<b>bold <i>nested</i> text</b> and <i>em <b>strong</b> em</i>", "nested emphasis");
+  console.log("✓ nested emphasis renders nested tags");
+}
+
+// 16) Indented fences, info strings and 4+ backtick fences are detected
+{
+  const input = [
+    "Steps:",
+    "  ```js title=\"demo.js\"",
+    "  | A | B |",
+    "  |---|---|",
+    "  | 1 | 2 |",
+    "  ```",
+    "",
+    "````md",
+    "```",
+    "**not bold**",
+    "```",
+    "````",
+  ].join("\n");
+  const plain = preprocess(input, { split: false }).chunks[0];
+  includes(plain, "  | 1 | 2 |", "table inside indented fence untouched");
+  notIncludes(plain, "•", "no bullets from fenced table");
+  const { chunks } = preprocess(input, { style: "telegramHtml", split: false });
+  includes(chunks[0], '<pre><code class="language-js">| A | B |', "indented fence with info string → pre, indentation stripped");
+  includes(chunks[0], '<pre><code class="language-md">```\n**not bold**\n```</code></pre>', "4-backtick fence contains ``` lines");
+  console.log("✓ indented, info-string and 4-backtick fences detected");
+}
+
+// 17) All styles detect the same constructs
+{
+  const input = "## Title\n*it* **b** `c` [l](https://example.com)\n```py\nx = 1\n```";
+  const html = preprocess(input, { style: "telegramHtml", split: false }).chunks[0];
+  const md2 = preprocess(input, { style: "telegramMarkdownV2", split: false }).chunks[0];
+  const { chunks, entities } = preprocess(input, { style: "telegramEntities", split: false });
+  eq(html, '<b>Title</b>\n<i>it</i> <b>b</b> <code>c</code> <a href="https://example.com">l</a>\n<pre><code class="language-py">x = 1</code></pre>', "html");
+  eq(md2, "*Title*\n_it_ *b* `c` [l](https://example.com)\n```py\nx = 1\n```", "markdownV2");
+  eq(chunks[0], "Title\nit b c l\nx = 1", "entity text");
+  eq(entities[0].map((e) => e.type).join(","), "bold,italic,bold,code,text_link,pre", "entity types");
+  console.log("✓ all styles detect the same constructs");
+}
+
+// 18) A long code block in HTML is closed and reopened with its language in every chunk
+{
+  const lines = Array.from({ length: 60 }, (_, i) => `  const value${i} = compute(${i});`);
+  const input = "Intro\n\n```js\n" + lines.join("\n") + "\n```";
+  const { chunks } = preprocess(input, { style: "telegramHtml", maxChunkLength: 500 });
+  assert(chunks.length >= 4, "code block spans several chunks");
+  chunks.forEach((c, i) => assertBalancedHtml(c, `chunk ${i}`));
+  chunks.slice(1).forEach((c, i) => {
+    assert(c.startsWith('<pre><code class="language-js">'), `chunk ${i + 1} reopens pre with language`);
+    assert(c.endsWith("</code></pre>"), `chunk ${i + 1} closes pre`);
+  });
+  includes(chunks[2], "  const value", "indentation kept at the start of a continuation chunk");
+  console.log("✓ long code block closed and reopened across HTML chunks");
+}
+
+// 19) Bold and link spans longer than a chunk stay balanced; budget counts text, not markup
+{
+  const input = "**" + "bold words ".repeat(40).trim() + "** and [a long link " + "text ".repeat(30).trim() + "](https://example.com/x?a=1&b=2)";
+  const { chunks } = preprocess(input, { style: "telegramHtml", maxChunkLength: 120 });
+  assert(chunks.length > 3, "split into several chunks");
+  chunks.forEach((c, i) => {
+    assertBalancedHtml(c, `chunk ${i}`);
+    assert(htmlTextLength(c) <= 120, `chunk ${i} within budget (${htmlTextLength(c)})`);
+  });
+  assert(chunks.filter((c) => c.startsWith("<b>")).length > 1, "bold reopened in the next chunk");
+  includes(chunks[chunks.length - 1], '<a href="https://example.com/x?a=1&amp;b=2">', "link reopened with the same href");
+  console.log("✓ long bold/link spans stay balanced across HTML chunks");
+}
+
+// 20) MarkdownV2 chunks reopen entities too
+{
+  const input = "```py\n" + "print('hello world')\n".repeat(20) + "```";
+  const { chunks } = preprocess(input, { style: "telegramMarkdownV2", maxChunkLength: 150 });
+  assert(chunks.length > 2, "split into several chunks");
+  chunks.forEach((c, i) => {
+    assert(c.startsWith("```py\n") && c.endsWith("\n```"), `chunk ${i} is a complete pre block`);
+  });
+  console.log("✓ MarkdownV2 pre block reopened in every chunk");
+}
+
+// 21) codeBlockOverflow "split" re-fences each part with the language and a (n/N) marker
+{
+  const body = Array.from({ length: 40 }, (_, i) => `print("line ${i}")`).join("\n");
+  const input = "Log:\n\n```py\n" + body + "\n```";
+  for (const style of ["telegramPlain", "telegramHtml"]) {
+    const { chunks } = preprocess(input, { style, maxChunkLength: 300, codeBlockOverflow: "split" });
+    // A part may share its chunk with the preceding paragraph
+    const parts = chunks.map((c) => c.slice(c.search(/\(\d+\/\d+\)\n/))).filter((c) => /^\(\d+\/\d+\)\n/.test(c));
+    assert(parts.length >= 3, `${style}: code split into several marked parts`);
+    eq(parts.length, chunks.length, `${style}: one part per chunk`);
+    parts.forEach((c, i) => {
+      assert(c.startsWith(`(${i + 1}/${parts.length})\n`), `${style}: part ${i + 1} marker`);
+      if (style === "telegramPlain") assert(/^\(\d+\/\d+\)\n```py\n[\s\S]*\n```$/.test(c), "plain part re-fenced");
+      else assertBalancedHtml(c, `part ${i + 1}`);
+    });
+    chunks.forEach((c) => assert(htmlTextLength(c) <= 300, "chunk fits"));
+    const lines = parts.join("\n").match(/print\((&quot;|")line \d+/g);
+    eq(lines.length, 40, `${style}: every line kept exactly once`);
+  }
+  console.log("✓ codeBlockOverflow split re-fences parts with markers");
+}
+
+// 22) codeBlockOverflow "truncate" cuts the block and adds a notice
+{
+  const body = Array.from({ length: 40 }, (_, i) => `line ${i}`).join("\n");
+  const { chunks } = preprocess("```\n" + body + "\n```", { maxChunkLength: 120, codeBlockOverflow: "truncate" });
+  eq(chunks.length, 1, "one chunk");
+  assert(chunks[0].length <= 120, "fits");
+  const shown = chunks[0].split("\n").filter((l) => l.startsWith("line")).length;
+  includes(chunks[0], `\`\`\`\n… truncated, ${40 - shown} more lines`, "fence closed, then notice with remaining count");
+  console.log("✓ codeBlockOverflow truncate cuts with a notice");
+}
+
+// 23) codeBlockOverflow "document" returns an attachment descriptor placed after its notice
+{
+  const body = "x = 1\n".repeat(100).trim();
+  const input = "Before\n\n```python\n" + body + "\n```\n\nAfter";
+  const { chunks, attachments } = preprocess(input, { style: "telegramHtml", maxChunkLength: 200, codeBlockOverflow: "document" });
+  eq(attachments.length, 1, "one attachment");
+  const [doc] = attachments;
+  eq(doc.filename, "snippet.py", "filename from language");
+  eq(doc.content, body, "full code as content");
+  includes(chunks[doc.afterChunk], "snippet.py", "notice in the chunk the document follows");
+  notIncludes(chunks.join("\n"), "x = 1", "code not in the text");
+  console.log("✓ codeBlockOverflow document returns an attachment descriptor");
+}
+
+// 24) Small code blocks are left alone whatever the overflow mode
+{
+  const input = "```js\nlet a = 1;\n```";
+  for (const codeBlockOverflow of ["split", "truncate", "document"]) {
+    const r = preprocess(input, { codeBlockOverflow });
+    eq(r.chunks[0], input, `${codeBlockOverflow}: unchanged`);
+    eq(r.attachments, undefined, `${codeBlockOverflow}: no attachments`);
+  }
+  console.log("✓ code blocks that fit are not touched by codeBlockOverflow");
+}
+
+// 25) Length is what Telegram counts: markup is free, astral emoji count 2, graphemes stay whole
+{
+  const bold = Array.from({ length: 60 }, (_, i) => `**w${i}**`).join(" ");
+  const { chunks: html } = preprocess(bold, { style: "telegramHtml", maxChunkLength: 100 });
+  html.forEach((c, i) => {
+    assert(htmlTextLength(c) <= 100, `html chunk ${i} within budget`);
+    if (i < html.length - 1) assert(htmlTextLength(c) > 90, `html chunk ${i} not shortened by tags (${htmlTextLength(c)})`);
+  });
+  assert(html[0].length > 100, "markup itself may exceed maxChunkLength");
+
+  const family = "👨‍👩‍👧";
+  const { chunks } = preprocess(`${family}🇳🇴`.repeat(40), { maxChunkLength: 50 });
+  chunks.forEach((c, i) => {
+    assert(c.length <= 50, `chunk ${i} within 50 UTF-16 units (${c.length})`);
+    assert(!/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(c), `chunk ${i} has no lone surrogate`);
+    eq(c.replaceAll(family, "").replaceAll("🇳🇴", ""), "", `chunk ${i} holds whole emoji only`);
+  });
+  eq(chunks.join(""), `${family}🇳🇴`.repeat(40), "nothing lost");
+  console.log("✓ chunks measured in UTF-16 text units without splitting graphemes");
+}
+
+// 26) measureLength is pluggable
+{
+  const input = "word ".repeat(100).trim();
+  const bytes = (text) => Buffer.byteLength(text, "utf8");
+  const { chunks } = preprocess(input.replaceAll("o", "ø"), { maxChunkLength: 100, measureLength: bytes });
+  chunks.forEach((c, i) => assert(bytes(c) <= 100, `chunk ${i} within 100 bytes (${bytes(c)})`));
+  assert(chunks.some((c) => c.length < 90), "byte measure yields shorter chunks than UTF-16");
+  console.log("✓ measureLength replaces the default length function");
+}
+
+// 27) tableStyle "cards": a bold title per row, other columns on their own lines; headers kept
+{
+  const input = "| Plan | Price | Seats |\n|---|---|---|\n| Pro | $10 | 5 |\n| Team | $30 |";
+  const { chunks } = preprocess(input, { style: "telegramHtml", tableStyle: "cards" });
+  eq(chunks[0], "<b>Pro</b>\nPrice: $10\nSeats: 5\n\n<b>Team</b>\nPrice: $30", "one card per row");
+  const { chunks: bullets } = preprocess(input);
+  includes(bullets[0], "• Plan: Team · Price: $30", "short row keeps its headers in bullets too");
+  let threw = false;
+  try {
+    preprocess(input, { tableStyle: "grid" });
+  } catch {
+    threw = true;
+  }
+  assert(threw, "unknown tableStyle throws");
+  console.log("✓ tableStyle cards");
+}
+
+// 28) tableStyle "monospace" aligns columns by display width (CJK and emoji count 2); "auto" picks per table
+{
+  const narrow = "| City | Temp |\n|---|---|\n| 東京 | 😀 |\n| Oslo | -3 |";
+  const { chunks } = preprocess(narrow, { style: "telegramHtml", tableStyle: "monospace" });
+  eq(chunks[0], "<pre><code>City | Temp\n-----+-----\n東京 | 😀\nOslo | -3</code></pre>", "aligned grid in pre");
+  const auto = (input) => preprocess(input, { tableStyle: "auto" }).chunks[0];
+  assert(auto(narrow).startsWith("```\nCity | Temp"), "auto: narrow table as monospace");
+  const wide = "| A | B | C | D | E |\n|---|---|---|---|---|\n| alpha | beta | gamma | delta | epsilon |";
+  assert(auto(wide).startsWith("**alpha**\nB: beta"), "auto: many columns as cards");
+  const wordy = "| Key | Value |\n|---|---|\n| a | a fairly long sentence in a cell |";
+  assert(auto(wordy).startsWith("**a**\nValue:"), "auto: long cells as cards");
+  const medium = "| Name | Role | Team |\n|---|---|---|\n| Alexandra Johnson | Staff Engineer | Platform |";
+  assert(auto(medium).startsWith("• Name: Alexandra"), "auto: otherwise bullets");
+  console.log("✓ tableStyle monospace and auto");
+}
+
+// 29) Escaped pipes, pipes in code spans, inline markup in cells and tables without edge pipes
+{
+  const input = "Intro\nCmd | Meaning\n--- | ---\n`a | b` | pipe **in** code\nx \\| y | [docs](https://example.com)";
+  const { chunks } = preprocess(input, { style: "telegramHtml" });
+  includes(chunks[0], "Intro\n• Cmd: <code>a | b</code> · Meaning: pipe <b>in</b> code", "code span keeps its pipe, bold cell");
+  includes(chunks[0], '• Cmd: x | y · Meaning: <a href="https://example.com">docs</a>', "escaped pipe, link cell");
+  const { entities } = preprocess(input, { style: "telegramEntities" });
+  eq(entities[0].map((e) => e.type).join(","), "code,bold,text_link", "cell markup as entities");
+  const { chunks: plain } = preprocess("a | b\n| --- |\nc | d");
+  notIncludes(plain[0], "•", "a delimiter row needs one cell per header cell");
+  console.log("✓ table cells: escaped pipes, code spans, inline markup, no edge pipes");
+}
+
+// 30) Monospace grid honours the delimiter row's alignment
+{
+  const input = "| Item | Qty | Status |\n|:---|---:|:---:|\n| apple | 3 | ok |\n| kiwi | 120 | sold out |";
+  const { chunks } = preprocess(input, { tableStyle: "monospace" });
+  eq(chunks[0], "```\nItem  | Qty |  Status\n------+-----+---------\napple |   3 |    ok\nkiwi  | 120 | sold out\n```", "left, right and centered columns");
+  console.log("✓ monospace grid alignment");
+}
+
+// 31) Long tables are chunked between rows; continuation chunks name the columns or repeat the header
+{
+  const rows = Array.from({ length: 30 }, (_, i) => `| item ${i} | ${i * 10} | **ok** |`).join("\n");
+  const input = "Stock:\n\n| Name | Qty | State |\n|---|--:|---|\n" + rows;
+  const { chunks } = preprocess(input, { style: "telegramHtml", maxChunkLength: 200 });
+  assert(chunks.length > 2, "table spread over several chunks");
+  chunks.slice(1).forEach((c, i) => {
+    assert(c.startsWith("Table (cont.) — columns: Name, Qty, State\n• Name: item"), `chunk ${i + 1} opens with the column line`);
+  });
+  chunks.forEach((c, i) => {
+    assert(htmlTextLength(c) <= 200, `chunk ${i} fits`);
+    c.split("\n").filter((l) => l.startsWith("•")).forEach((l) => assert(/ · State: <b>ok<\/b>$/.test(l), `whole row in chunk ${i}`));
+  });
+  eq(chunks.join("\n").match(/• Name: item \d+/g).length, 30, "every row exactly once");
+
+  const { chunks: grid } = preprocess(input, { tableStyle: "monospace", maxChunkLength: 200 });
+  assert(grid.length > 2, "grid spread over several chunks");
+  grid.slice(1).forEach((c, i) => assert(c.startsWith("```\nName    | Qty | State\n--------+-----+------\nitem"), `grid part ${i + 1} repeats the header`));
+  eq(grid.join("\n").match(/^item \d+ /gm).length, 30, "every grid row exactly once");
+  console.log("✓ large tables split between rows with repeated headers");
+}
+
+// 32) maxTableRows caps rendered rows with a footer
+{
+  const rows = Array.from({ length: 45 }, (_, i) => `| r${i} | ${i} |`).join("\n");
+  const { chunks } = preprocess("| Key | Value |\n|---|---|\n" + rows + "\n\nEnd", { maxTableRows: 3 });
+  eq(chunks[0], "• Key: r0 · Value: 0\n• Key: r1 · Value: 1\n• Key: r2 · Value: 2\n…and 42 more rows\n\nEnd", "three rows and a footer");
+  const { chunks: cards } = preprocess("| Key | Value |\n|---|---|\n| a | 1 |\n| b | 2 |", { tableStyle: "cards", maxTableRows: 1 });
+  eq(cards[0], "**a**\nValue: 1\n\n…and 1 more row", "singular footer after cards");
+  console.log("✓ maxTableRows caps rows with a footer");
+}
+
+// 33) Links: markdown links, autolinks and bare URLs become links; only allowed schemes
+{
+  const input = "See [docs](https://example.com/a_b), <https://x.org> or www.site.io/path. Bad [js](javascript:alert(1)) [rel](/docs)";
+  const { chunks } = preprocess(input, { style: "telegramHtml" });
+  eq(
+    chunks[0],
+    'See <a href="https://example.com/a_b">docs</a>, <a href="https://x.org">https://x.org</a> or <a href="http://www.site.io/path">www.site.io/path</a>. Bad js rel',
+    "links, autolink and bare URL (without trailing punctuation); disallowed schemes as text",
+  );
+  const { chunks: md } = preprocess("Open https://example.com/a_b_c now", { style: "telegramMarkdownV2" });
+  eq(md[0], "Open [https://example\\.com/a\\_b\\_c](https://example.com/a_b_c) now", "bare URL underscores are not emphasis");
+  const { chunks: custom } = preprocess("[chat](tg://resolve?domain=x) [ftp](ftp://host/f)", { style: "telegramHtml", linkSchemes: ["ftp"] });
+  eq(custom[0], 'chat <a href="ftp://host/f">ftp</a>', "linkSchemes replaces the allowlist");
+  console.log("✓ links, autolinks and bare URLs with a scheme allowlist");
+}
+
+// 34) Plain linkStyle "references" and links never split across chunks
+{
+  const input = "Per [the spec](https://example.com/spec) and [RFC](https://example.com/rfc), again [spec](https://example.com/spec). Skip [x](file:///etc)";
+  const { chunks } = preprocess(input, { linkStyle: "references" });
+  eq(
+    chunks[0],
+    "Per the spec [1] and RFC [2], again spec [1]. Skip x\n\n[1] https://example.com/spec\n[2] https://example.com/rfc",
+    "numbered references listed at the end of the chunk",
+  );
+  const long = Array.from({ length: 12 }, (_, i) => `word [source number ${i}](https://example.com/s/${i})`).join(" ");
+  for (const linkStyle of ["inline", "references"]) {
+    const { chunks: parts } = preprocess(long, { linkStyle, maxChunkLength: 150 });
+    assert(parts.length > 2, `${linkStyle}: split into several chunks`);
+    parts.forEach((c, i) => assert(c.length <= 150, `${linkStyle}: chunk ${i} with its references fits`));
+    const text = parts.map((c) => c.split("\n\n[")[0]).join(" ");
+    const whole = linkStyle === "inline" ? /\[source number \d+\]\(https:\/\/example\.com\/s\/\d+\)/g : /source number \d+ \[\d+\]/g;
+    eq(text.match(whole).length, 12, `${linkStyle}: every link whole`);
+  }
+  const { chunks: html } = preprocess(long, { style: "telegramHtml", maxChunkLength: 100 });
+  html.forEach((c) => assertBalancedHtml(c, "html chunk"));
+  eq(html.join(" ").match(/<a href="[^"]+">source number \d+<\/a>/g).length, 12, "html: no link reopened in a second chunk");
+  console.log("✓ link references and unsplittable links");
+}
+
+// 35) Strikethrough, spoiler, underline and word-boundary italics
+{
+  const input = "~~old~~ new, ||secret|| and *it* or _it_ but 2*3*4, snake_case_name, ~5 min, a || b; __under__";
+  const { chunks } = preprocess(input, { style: "telegramHtml" });
+  eq(
+    chunks[0],
+    "<s>old</s> new, <tg-spoiler>secret</tg-spoiler> and <i>it</i> or <i>it</i> but 2*3*4, snake_case_name, ~5 min, a || b; <b>under</b>",
+    "default features",
+  );
+  const { chunks: md } = preprocess("||**loud** secret|| ~~x~~ __u__", { style: "telegramMarkdownV2", features: { underline: true } });
+  eq(md[0], "||*loud* secret|| ~x~ __u__", "MarkdownV2 markers, underline feature");
+  const { chunks: off } = preprocess(input, { style: "telegramHtml", features: { italic: false, strikethrough: false, spoiler: false } });
+  eq(off[0], "~~old~~ new, ||secret|| and *it* or _it_ but 2*3*4, snake_case_name, ~5 min, a || b; <b>under</b>", "switched off: delimiters kept");
+  let threw = false;
+  try {
+    preprocess(input, { features: { blink: true } });
+  } catch {
+    threw = true;
+  }
+  assert(threw, "unknown feature throws");
+  console.log("✓ strikethrough, spoiler, underline, word-boundary italics with feature switches");
+}
+
+// 36) Multi-line blockquotes, expandable past a threshold
+{
+  const quote = "> one\n> **two**\n> three";
+  eq(preprocess(quote, { style: "telegramHtml" }).chunks[0], "<blockquote>one\n<b>two</b>\nthree</blockquote>", "multi-line quote");
+  const features = { expandableBlockquote: 2 };
+  eq(preprocess(quote, { style: "telegramHtml", features }).chunks[0], "<blockquote expandable>one\n<b>two</b>\nthree</blockquote>", "expandable");
+  eq(preprocess(quote, { style: "telegramMarkdownV2", features }).chunks[0], "**>one\n>*two*\n>three||", "MarkdownV2 expandable");
+  const { entities } = preprocess(quote, { style: "telegramEntities", features });
+  eq(entities[0][0].type, "expandable_blockquote", "entity type");
+  eq(preprocess("> one\n> two", { style: "telegramHtml", features }).chunks[0], "<blockquote>one\ntwo</blockquote>", "short quote stays open");
+  eq(preprocess(quote, { style: "telegramHtml", features: { blockquote: false } }).chunks[0], "&gt; one\n&gt; <b>two</b>\n&gt; three", "quotes off");
+  console.log("✓ multi-line and expandable blockquotes");
+}
+
+// 37) Heading styles per level
+{
+  const input = "# Report\n## Summary\n### Details `x`";
+  eq(preprocess(input, { style: "telegramHtml" }).chunks[0], "<u><b>Report</b></u>\n<b>Summary</b>\n<b>Details <code>x</code></b>", "default rich styles");
+  eq(preprocess(input).chunks[0], "REPORT\nSUMMARY\nDetails `x`", "default plain styles drop the hashes");
+  const headingStyles = { 1: "📌+uppercase+bold", 2: "italic", 3: "raw" };
+  eq(
+    preprocess(input, { style: "telegramHtml", headingStyles }).chunks[0],
+    "📌 <b>REPORT</b>\n<i>Summary</i>\n### Details <code>x</code>",
+    "configured rich styles",
+  );
+  eq(preprocess(input, { headingStyles }).chunks[0], "📌 REPORT\nSummary\n### Details `x`", "plain keeps only uppercase and prefixes");
+  let threw = false;
+  try {
+    preprocess(input, { headingStyles: { 2: "bolt" } });
+  } catch {
+    threw = true;
+  }
+  assert(threw, "unknown heading format throws");
+  console.log("✓ heading styles per level");
+}
+
+// 38) Nested lists become •/◦/▪ with an indentation step; numbering survives chunking
+{
+  const input = "- top **one**\n  * second\n    + third\n      wrapped line\n- top two\n\n1. first";
+  eq(
+    preprocess(input, { style: "telegramHtml" }).chunks[0],
+    "• top <b>one</b>\n   ◦ second\n      ▪ third\n        wrapped line\n• top two\n\n1. first",
+    "normalized markers and indentation",
+  );
+  const steps = Array.from({ length: 30 }, (_, i) => `${i + 1}. step number ${i + 1} of the procedure`).join("\n");
+  const { chunks } = preprocess("Steps:\n" + steps, { maxChunkLength: 200 });
+  assert(chunks.length > 2, "list split across chunks");
+  chunks.slice(1).forEach((c, i) => assert(/^\d+\. step number \d+ of the procedure/.test(c), `chunk ${i + 1} starts with a whole item`));
+  const numbers = chunks.join("\n").match(/^\d+(?=\. )/gm).map(Number);
+  eq(numbers.join(","), Array.from({ length: 30 }, (_, i) => i + 1).join(","), "numbering continues across chunks");
+  const { chunks: restart } = preprocess("3. three\n3. again\n3. and again");
+  eq(restart[0], "3. three\n4. again\n5. and again", "numbered from the list's start");
+  console.log("✓ list normalization");
+}
+
+// 39) Streaming: deltas in, final chunks out as soon as they are safe, same as preprocess()
+{
+  const doc = "# Report\n\nIntro with **bold** text.\n\n| A | B |\n|---|---|\n| 1 | 2 |\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\n- one\n- two\n\nSee [docs](https://example.com).\n".repeat(6);
+  for (const style of ["telegramPlain", "telegramHtml", "telegramEntities"]) {
+    const options = { style, maxChunkLength: 120 };
+    const stream = createStreamingPreprocessor(options);
+    const chunks = [];
+    const entities = [];
+    for (let i = 0; i < doc.length; i += 7) {
+      const out = stream.write(doc.slice(i, i + 7));
+      chunks.push(...out.chunks);
+      entities.push(...(out.entities ?? []));
+    }
+    const early = chunks.length;
+    const rest = stream.end();
+    chunks.push(...rest.chunks);
+    entities.push(...(rest.entities ?? []));
+    const expected = preprocess(doc, options);
+    eq(JSON.stringify(chunks), JSON.stringify(expected.chunks), `${style}: same chunks as preprocess`);
+    if (expected.entities) eq(JSON.stringify(entities), JSON.stringify(expected.entities), `${style}: same entities`);
+    eq(stream.parseMode, expected.parseMode, `${style}: parseMode`);
+    assert(early > 0 && early < chunks.length, `${style}: chunks handed out before end()`);
+  }
+
+  // An open fence is held back, even when it already fills several chunks
+  const stream = createStreamingPreprocessor({ maxChunkLength: 60 });
+  eq(stream.write("Intro line.\n\n").chunks.length, 0, "last block may still grow");
+  eq(stream.write("```\n" + "x = 1\n\n".repeat(30)).chunks.length, 0, "nothing before the fence closes");
+  const out = [...stream.write("```\n\nAfter.\n").chunks, ...stream.end().chunks];
+  eq(JSON.stringify(out), JSON.stringify(preprocess("Intro line.\n\n```\n" + "x = 1\n\n".repeat(30) + "```\n\nAfter.\n", { maxChunkLength: 60 }).chunks), "fenced stream");
+  let threw = false;
+  try {
+    stream.write("more");
+  } catch {
+    threw = true;
+  }
+  assert(threw, "write after end() throws");
+  console.log("✓ streaming preprocessor matches preprocess()");
+}
+
+// 40) htmlToPlain: the text a Telegram HTML chunk displays
+{
+  const html = preprocess("**Bold** [docs](https://e.com/?a=1&b=2) `<tag>` & <https://x.io>", { style: "telegramHtml" }).chunks[0];
+  eq(htmlToPlain(html), "Bold docs (https://e.com/?a=1&b=2) <tag> & https://x.io", "tags stripped, URLs kept");
+  eq(htmlToPlain("&#128512; &#x41; &amp;lt; &nbsp;"), "😀 A &lt; &nbsp;", "only Telegram's references decoded, once");
+  eq(htmlToPlain('<pre><code class="language-js">a &lt; b</code></pre>'), "a < b", "code unwrapped");
+  eq(htmlToPlain(html, { linkUrls: false }), "Bold docs <tag> & https://x.io", "labels only");
+  console.log("✓ htmlToPlain");
+}
+
+// 41) firstChunkLength: a shorter first chunk (a media caption), the rest at maxChunkLength
+{
+  const text = "First paragraph with **some** words.\n\n" + "Another paragraph of words here.\n\n".repeat(6) + "word ".repeat(40);
+  const { chunks } = preprocess(text, { style: "telegramHtml", maxChunkLength: 200, firstChunkLength: 50 });
+  const visible = chunks.map((c) => htmlToPlain(c).length);
+  assert(visible[0] <= 50 && visible.slice(1).every((n) => n <= 200), `limits per chunk: ${visible}`);
+  assert(visible.slice(1, -1).some((n) => n > 50), "later chunks use the full length");
+  const split = preprocess("word ".repeat(100), { maxChunkLength: 200, firstChunkLength: 30 }).chunks;
+  assert(split[0].length <= 30 && split[1].length > 30 && split.every((c) => c.length <= 200), "a block split across the limits");
+  console.log("✓ firstChunkLength");
+}
+
+// 42) Redaction: packs, actions, code blocks and the report
+{
+  const text = [
+    "From jane.doe@example.com (message_id: 42), key sk-proj-abcdefghijklmnopqrstuvwx1234.",
+    "Header `Authorization: Bearer abcdefgh12345678` and /home/alice/notes.txt",
+    "",
+    "```",
+    "ssh me@host.example.org # message_id: 7",
+    "```",
+  ].join("\n");
+  const { text: out, redactions } = redact(text, true);
+  includes(out, "From j•••@example.com (), key •••1234.", "email masked, ID removed, key masked");
+  includes(out, "Bearer •••5678", "bearer token masked inside a code span");
+  includes(out, "/home/•••/notes.txt", "home directory user masked");
+  includes(out, "ssh me@host.example.org # message_id: 7", "prose rules leave code alone");
+  notIncludes(JSON.stringify(redactions), "jane", "the report has no values");
+  eq(redactions.map((r) => r.rule).join(), "email,internalId,apiKey,authorization,homePath", "report in text order");
+  assert(redactions[3].inCode && !redactions[0].inCode && redactions[0].pack === "emails", "pack and inCode reported");
+
+  const hashed = redact("a@b.io and a@b.io, c@d.io", [{ pack: "emails", action: "hash", inCode: true }]).text;
+  const [first, second, third] = hashed.match(/\[email:[0-9a-f]{8}\]/g);
+  assert(first === second && first !== third, "hash: equal values, equal pseudonyms");
+  eq(redact("id=AB-1234 x", [{ name: "ticket", pattern: /AB-\d+/, action: "mask" }]).text, "id=••• x", "custom rule");
+
+  const result = preprocess("**Mail** me at bob@example.com\n\n| a | b |\n|---|---|\n| 1 | 2 |", { style: "telegramHtml", redact: ["emails"] });
+  includes(result.chunks[0], "<b>Mail</b> me at b•••@example.com", "redacted before rendering");
+  eq(result.redactions.length, 1, "preprocess reports redactions");
+  let threw = false;
+  try {
+    preprocess("x", { redact: ["nope"] });
+  } catch {
+    threw = true;
+  }
+  assert(threw, "unknown pack throws");
+  console.log("✓ redaction");
+}
+
+// 43) createPreprocessor: custom stages on protected markdown and on chunks, built-ins left out
+{
+  const tickets = {
+    name: "tickets",
+    phase: "source",
+    transform: (md) => md.replace(/\b[A-Z]+-\d+\b/g, (id) => `[${id}](https://issues.example.com/${id})`),
+  };
+  const footer = { name: "footer", phase: "chunks", transform: (r) => ({ ...r, chunks: r.chunks.map((c) => `${c}\n—`) }) };
+  const pipeline = createPreprocessor({ stages: ["fence", "redact", tickets, "whitespace", "tables", "render", "chunk", footer] });
+  const text = "Fixed OPS-12, see `OPS-12`:\n\n```\ngit log OPS-12\n```";
+  const { chunks } = pipeline.preprocess(text, { style: "telegramHtml" });
+  includes(chunks[0], '<a href="https://issues.example.com/OPS-12">OPS-12</a>, see <code>OPS-12</code>', "code spans protected");
+  includes(chunks[0], "<pre><code>git log OPS-12</code></pre>\n—", "fenced code protected, then the chunk stage");
+  const streamed = pipeline.createStreamingPreprocessor({ style: "telegramHtml" });
+  eq([...streamed.write(text).chunks, ...streamed.end().chunks].join(), chunks.join(), "streaming runs the same stages");
+
+  const table = "| a | b |\n|---|---|\n| 1 | 2 |\n\n" + "word ".repeat(30);
+  const bare = createPreprocessor({ stages: ["render"] }).preprocess(table, { maxChunkLength: 50 });
+  eq(bare.chunks.length, 1, "without chunk: one chunk");
+  includes(bare.chunks[0], "| a | b |\n|---|---|", "without tables: the table as written");
+  eq(JSON.stringify(createPreprocessor().preprocess(table)), JSON.stringify(preprocess(table)), "the default pipeline");
+
+  const throws = (fn) => {
+    try {
+      fn();
+    } catch (err) {
+      return err.message;
+    }
+    return "";
+  };
+  includes(throws(() => createPreprocessor({ stages: ["render", "redact"] })), 'stage "redact" can\'t run after "render"', "order");
+  includes(throws(() => createPreprocessor({ stages: ["tables"] })), '"render" stage is required', "render required");
+  includes(throws(() => createPreprocessor({ stages: ["render"] }).preprocess("x", { redact: true })), "needs the", "redact stage");
+  const eat = { name: "eat", phase: "source", transform: (md) => md.replace(/\uE000\d+\uE001/g, "") };
+  includes(throws(() => createPreprocessor({ stages: ["fence", eat, "render"] }).preprocess("a `b`")), "dropped protected code", "code kept");
+  console.log("✓ createPreprocessor");
+}
+
+// 44) Config: profiles, chat mapping, environment overrides and schema errors
+{
+  const raw = {
+    defaults: { style: "telegramHtml", maxChunkLength: 3000 },
+    profiles: {
+      staff: { redact: ["internalIds"] },
+      compact: { extends: "staff", tableStyle: "monospace", maxChunkLength: 2000 },
+    },
+    chats: { "-100": "compact" },
+    defaultProfile: "staff",
+  };
+  const config = createConfig(raw, { env: { TELEGRAM_PREPROCESSOR_MAX_TABLE_ROWS: "5" } });
+  const expected = { style: "telegramHtml", maxChunkLength: 3000, redact: ["internalIds"], maxTableRows: 5 };
+  eq(JSON.stringify(config.resolve()), JSON.stringify(expected), "default profile, then the override");
+  const compact = config.resolve({ chatId: -100, profile: "staff" });
+  assert(compact.tableStyle === "monospace" && compact.maxChunkLength === 2000 && compact.redact[0] === "internalIds", "chat's profile, extended");
+  eq(config.profileFor({ chatId: 7 }), "staff", "unmapped chat: default profile");
+  eq(createConfig(raw, { env: { TELEGRAM_PREPROCESSOR_PROFILE: "compact" } }).profileFor(), "compact", "profile from the environment");
+
+  const fails = (value, env = {}) => {
+    try {
+      createConfig(value, { file: "bot.json", env });
+    } catch (err) {
+      return err.message;
+    }
+    return "";
+  };
+  includes(fails({ profiles: { a: { tableStyle: "grid" } } }), 'config: bot.json: profiles.a.tableStyle must be one of "bullets"', "enum");
+  includes(fails({ profiles: { a: { headingStyles: { 2: "bold+wavy" } } } }), 'profiles.a.headingStyles.2 unknown format "wavy"', "nested path");
+  includes(fails({ defaults: { chunkPolicy: { replyMarkup: "end" } } }), 'defaults.chunkPolicy.replyMarkup must be one of "first", "last", "all", "none", got "end"', "chunk position");
+  includes(fails({ defaults: { maxChunkLenght: 10 } }), 'defaults has unknown option "maxChunkLenght"', "typo");
+  includes(fails({ profiles: { a: { extends: "b" }, b: { extends: "a" } } }), "extends itself", "extends cycle");
+  includes(fails({ chats: { 1: "nobody" } }), 'chats.1 must name a profile, got "nobody"', "chat mapping");
+  includes(fails({}, { TELEGRAM_PREPROCESSOR_SPLIT: "maybe" }), "TELEGRAM_PREPROCESSOR_SPLIT: split must be true or false", "env value");
+  const unrelated = createConfig({}, { env: { TELEGRAM_PREPROCESSOR_DEBUG: "1", TELEGRAM_PREPROCESSOR_SPLIT: "false" } });
+  eq(JSON.stringify(unrelated.resolve()), '{"split":false}', "other TELEGRAM_PREPROCESSOR_ variables are ignored");
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tp-config-"));
+  try {
+    eq(JSON.stringify((await loadConfig({ cwd: dir, env: {} })).resolve()), "{}", "no file: empty config");
+    fs.writeFileSync(path.join(dir, "telegram-preprocessor.config.json"), JSON.stringify(raw));
+    const loaded = await loadConfig({ cwd: dir, env: {} });
+    assert(loaded.file.endsWith("telegram-preprocessor.config.json") && loaded.chats["-100"] === "compact", "found in cwd");
+    fs.writeFileSync(path.join(dir, "bad.json"), "{ defaults: }");
+    let message = "";
+    await loadConfig({ cwd: dir, file: "bad.json", env: {} }).catch((err) => (message = err.message));
+    includes(message, "bad.json: invalid JSON", "JSON error names the file");
+
+    // The CLI turns the config's stripMetadata into redaction, as the proxy does
+    fs.writeFileSync(path.join(dir, "strip.json"), JSON.stringify({ defaults: { stripMetadata: true } }));
+    const cli = spawnSync(process.execPath, [fileURLToPath(new URL("./index.mjs", import.meta.url)), "--config", "strip.json"], {
+      cwd: dir,
+      input: "hello message_id: 123 world",
+      encoding: "utf8",
+      env: { PATH: process.env.PATH },
+    });
+    eq(cli.stdout.trim(), "hello world", "CLI: the config's stripMetadata applies");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log("✓ config profiles, overrides and errors");
+}
+
+// 45) Inline code is the innermost entity when another covers the same text
+{
+  const html = (md) => preprocess(md, { style: "telegramHtml" }).chunks[0];
+  const mdv2 = (md) => preprocess(md, { style: "telegramMarkdownV2" }).chunks[0];
+  eq(html("**`x`**"), "<b><code>x</code></b>", "bold around code (HTML)");
+  eq(mdv2("**`x`**"), "*`x`*", "bold around code (MarkdownV2)");
+  eq(html("[`fn()`](https://e.com/fn)"), '<a href="https://e.com/fn"><code>fn()</code></a>', "link around code (HTML)");
+  eq(mdv2("[`fn()`](https://e.com/fn)"), "[`fn()`](https://e.com/fn)", "link around code (MarkdownV2)");
+  eq(html("~~`x`~~"), "<s><code>x</code></s>", "strikethrough around code (HTML)");
+  eq(mdv2("~~`x`~~"), "~`x`~", "strikethrough around code (MarkdownV2)");
+  eq(html("## `x`"), "<b><code>x</code></b>", "heading around code");
+  const { entities } = preprocess("**`x`**", { style: "telegramEntities" });
+  eq(entities[0].map((e) => e.type).join(","), "bold,code", "entities outer first");
+  console.log("✓ code innermost on equal ranges");
+}
+
+// 46) Code blocks in quotes: pre nests inside the quote, every MarkdownV2 line quoted
+{
+  const html = (md) => preprocess(md, { style: "telegramHtml" }).chunks[0];
+  const mdv2 = (md) => preprocess(md, { style: "telegramMarkdownV2" }).chunks[0];
+  eq(mdv2("> hi\n> ```\n> a\n> ```"), ">hi\n>```\n>a\n>```", "fence after text in a quote");
+  eq(html("> hi\n> ```\n> a\n> ```"), "<blockquote>hi\n<pre><code>a</code></pre></blockquote>", "fence after text (HTML)");
+  eq(mdv2("> ```\n> a\n> b\n> ```"), ">```\n>a\n>b\n>```", "quote holding only a fence");
+  eq(html("> ```\n> a\n> b\n> ```"), "<blockquote><pre><code>a\nb</code></pre></blockquote>", "quote holding only a fence (HTML)");
+  const { entities } = preprocess("> ```\n> a\n> ```", { style: "telegramEntities" });
+  eq(entities[0].map((e) => e.type).join(","), "blockquote,pre", "quote outside pre");
+  console.log("✓ code blocks in quotes");
+}
+
+// 47) MarkdownV2: italic and underline markers that meet are separated with "\r"
+{
+  const mdv2 = (md) => preprocess(md, { style: "telegramMarkdownV2", features: { underline: true } }).chunks[0];
+  eq(mdv2("*__x__*"), "__\r_x_\r__", "underline around italic");
+  eq(mdv2("__*x*__"), "_\r__x__\r_", "italic around underline");
+  eq(mdv2("*__x__ y*"), "_\r__x__ y_", "only where the markers meet");
+  eq(mdv2("_a_ __b__"), "_a_ __b__", "apart, no separator");
+  console.log("✓ italic/underline separator");
+}
+
+// 48) markdownV2ToPlain: the text a MarkdownV2 chunk displays, as the entity render has it
+{
+  const md = "# Title `code`\n\nSome **bold**, __under__, _it_ ~~gone~~ ||spoiler|| (1.5)! [link *x*](https://e.com/a_(b)) `a\\\\b`\n\n" +
+    "> quote one\n> **two**\n> ```js\n> x = a_b * 2\n> ```\n\n| A | B |\n|---|---|\n| 1 | 2 |\n\n```py\n> not a quote\nprint(\"`hi`\")\n```";
+  for (const features of [{}, { underline: true, expandableBlockquote: 2 }]) {
+    const rich = preprocess(md, { style: "telegramMarkdownV2", features, maxChunkLength: 80 }).chunks;
+    const plain = preprocess(md, { style: "telegramEntities", features, maxChunkLength: 80 }).chunks;
+    assert(rich.length > 1, "several chunks");
+    rich.forEach((chunk, i) => eq(markdownV2ToPlain(chunk), plain[i], `chunk ${i} with ${JSON.stringify(features)}`));
+  }
+  console.log("✓ markdownV2ToPlain");
+}
+
+// 49) Streaming processes each block once: stages see the text and the chunks a single time
+{
+  const seen = { source: 0, chunks: 0 };
+  const count = (phase) => ({ name: `count-${phase}`, phase, transform: (input) => {
+    seen[phase] += phase === "source" ? input.length : input.chunks.length;
+    return input;
+  } });
+  const pipeline = createPreprocessor({ stages: [count("source"), "tables", "render", "chunk", count("chunks")] });
+  const text = Array.from({ length: 200 }, (_, i) => `Paragraph ${i} with a [link](https://e.com/${i}).`).join("\n\n");
+  const options = { style: "telegramPlain", linkStyle: "references", maxChunkLength: 300 };
+  const stream = pipeline.createStreamingPreprocessor(options);
+  const chunks = [];
+  for (let i = 0; i < text.length; i += 3) chunks.push(...stream.write(text.slice(i, i + 3)).chunks);
+  chunks.push(...stream.end().chunks);
+  eq(seen.source, text.length, "the source stage saw each character once");
+  eq(seen.chunks, chunks.length, "the chunks stage saw each chunk once");
+  eq(chunks.join("\n---\n"), pipeline.preprocess(text, options).chunks.join("\n---\n"), "same chunks as preprocess()");
+  includes(chunks[chunks.length - 1], "[200] https://e.com/199", "reference numbering carries on");
+  console.log("✓ streaming is incremental");
+}
+
+// 50) Streaming preview(): the text so far as end() would give it, without ending
+{
+  const text = "# Notes\n\nSee [a](https://a.example) and [b](https://b.example).\n\n| A | B |\n|---|---|\n| 1 | 2 |\n\nLast [a](https://a.example) line";
+  const options = { style: "telegramEntities", linkStyle: "references", maxChunkLength: 40 };
+  const stream = createStreamingPreprocessor(options);
+  const chunks = [];
+  const entities = [];
+  for (let i = 0; i < text.length; i += 4) {
+    const written = stream.write(text.slice(i, i + 4));
+    chunks.push(...written.chunks);
+    entities.push(...(written.entities ?? []));
+    const preview = stream.preview();
+    const whole = preprocess(text.slice(0, i + 4), options);
+    eq(JSON.stringify([...chunks, ...preview.chunks]), JSON.stringify(whole.chunks), `chunks after ${i + 4} characters`);
+    eq(JSON.stringify([...entities, ...preview.entities]), JSON.stringify(whole.entities), `entities after ${i + 4} characters`);
+  }
+  eq(JSON.stringify([...chunks, ...stream.end().chunks]), JSON.stringify(preprocess(text, options).chunks), "previews change nothing");
+  let threw = "";
+  try {
+    stream.preview();
+  } catch (err) {
+    threw = err.message;
+  }
+  includes(threw, "preview() after end()", "no preview once ended");
+  console.log("✓ streaming preview");
+}
+
+// 51) The fence and whitespace stages: moved, or left out
+{
+  const shout = { name: "shout", phase: "source", transform: (md) => md.replace(/hi/g, "HI") };
+  const text = "hi `hi`\n\n\n\nhi\n\n```\nhi\n```";
+  const run = (stages) => createPreprocessor({ stages }).preprocess(text, { style: "telegramPlain" }).chunks.join();
+  eq(run(["fence", shout, "whitespace", "render"]), "HI `hi`\n\nHI\n\n```\nhi\n```", "after fence: code kept");
+  eq(run([shout, "fence", "whitespace", "render"]), "HI `HI`\n\nHI\n\n```\nHI\n```", "before fence: code rewritten");
+  eq(run([shout, "whitespace", "render"]), run([shout, "fence", "whitespace", "render"]), "without fence: the same");
+  eq(run(["fence", shout, "render"]), "HI `hi`\n\n\n\nHI\n\n```\nhi\n```", "without whitespace: blank lines kept");
+
+  const stages = ["fence", "redact", "tables", "render", "chunk"];
+  const options = { style: "telegramHtml", maxChunkLength: 30 };
+  const source = "one\n\n\ntwo\n\n\n\n\nthree " + "word ".repeat(8) + "\n\n\nfour";
+  const stream = createPreprocessor({ stages }).createStreamingPreprocessor(options);
+  const chunks = [];
+  for (let i = 0; i < source.length; i += 2) chunks.push(...stream.write(source.slice(i, i + 2)).chunks);
+  chunks.push(...stream.end().chunks);
+  const whole = createPreprocessor({ stages }).preprocess(source, options).chunks;
+  includes(whole[0], "one\n\n\ntwo", "blank lines kept in HTML");
+  eq(JSON.stringify(chunks), JSON.stringify(whole), "streaming keeps the same blank lines");
+  console.log("✓ fence and whitespace stages");
+}
+
+console.log("\nAll 51 tests passed.");